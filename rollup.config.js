@@ -2,7 +2,7 @@
 import {terser} from 'rollup-plugin-terser';
 import header from './src/license-header.js';
 
-export default {
+export default [{
 	input: 'src/Timeline.js',
 	output: [
 		{
@@ -28,4 +28,21 @@ export default {
 			banner: header
 		}
 	]
-}
+},
+{
+	input: 'src/DiagramLayout.js',
+	output: [
+		{
+			name: 'TimelineLayout',
+			file: 'dist/timeline-layout.js',
+			format: 'umd',
+			exports: 'named',
+			banner: header
+		},
+		{
+			file: 'dist/timeline-layout.esm.js',
+			format: 'esm',
+			banner: header
+		}
+	]
+}]
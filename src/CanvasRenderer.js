@@ -0,0 +1,910 @@
+import {entryText, getVisibleRegion} from './util.js';
+
+/**
+ * The order in which connectors are drawn, matching the stacking order in the stylesheet
+ */
+const connectorOrder = ["split", "become", "merge", "end", "fork", "link", "stub"];
+
+/**
+ * The opacity of dimmed entries and their connectors (those not matching a filter, or outside a traced lineage), matching the stylesheet
+ */
+const dimmedOpacity = 0.25;
+
+/**
+ * The largest width or height in px of the canvas, within the limits of all major browsers
+ */
+const maxCanvasSize = 8192;
+
+/**
+ * How far in px beyond the edge of a connector's stroke a click still hits it
+ */
+const connectorHitMargin = 3;
+
+/**
+ * The number of straight segments a curved connector is split into for hit-testing
+ */
+const curveSegments = 16;
+
+/**
+ * A class for drawing the diagram on a single canvas, instead of with an element for each entry and connector.
+ *
+ * Nothing is positioned in the document: entries are drawn in their boxes from the layout (see Diagram#_getEntryBoxes()),
+ * connectors from their settings, and the date axes, guides, periods, lanes and labels from the Diagram's scene (see Diagram#_setup()).
+ * The entry elements are kept (hidden) for their data and classes, and as the targets of events.
+ * Only the part of the diagram visible in the window is drawn, so render() must be called whenever that changes (e.g. on scrolling or panning).
+ *
+ * Mouse events on the canvas are passed on to the entry under the pointer, found from the entry boxes:
+ * click, mouseover and mouseout events are dispatched on the entry, and it has the "hover" class while the pointer is over it.
+ * Connectors can be found under the pointer with connectorAt(), from their settings.
+ */
+class CanvasRenderer {
+
+	/**
+	 * @param {HTMLElement} container - The diagram container
+	 * @param {object} config - The diagram config
+	 * @param {object} scene - The Diagram's scene, with the 'dates', 'guides', 'periods', 'lanes' and 'labels' to draw. It is read each time the canvas is drawn.
+	 */
+	constructor(container, config, scene) {
+		this._container = container;
+		this._config = config;
+		this._scene = scene;
+		this._vertical = (config.orientation === "vertical");
+		this._entries = [];
+		this._rows = new Map();
+		this._connectors = new Map();
+		this._hover = null;
+		this._trace = null;
+		this._frame = null;
+
+		this._canvas = document.createElement("canvas");
+		this._canvas.classList.add("timeline-canvas-layer");
+		this._ctx = this._canvas.getContext("2d");
+		container.append(this._canvas);
+
+		const root = window.getComputedStyle(document.documentElement);
+		this._colours = {
+			entry: root.getPropertyValue("--timeline-entry-colour").trim() || "#f2f2f2",
+			text: root.getPropertyValue("--timeline-text-colour").trim() || "#333",
+			guide: "#fff",
+			guideOdd: "#fafafa",
+			guideBorder: "#ccc",
+			highlight: "#FFF14D"
+		};
+		this._font = window.getComputedStyle(container).fontFamily || "sans-serif";
+
+		this._listeners = [
+			["mousemove", (e) => this._setHover(this._itemAt(this._toDiagram(e.clientX, e.clientY)), e)],
+			["mouseleave", (e) => this._setHover(null, e)],
+			["click", (e) => this._clickHandler(e)]
+		];
+		for (const [type, handler] of this._listeners) {
+			this._canvas.addEventListener(type, handler);
+		}
+	}
+
+	/**
+	 * Add a connector to be drawn.
+	 * @param {HTMLElement} entry - The entry the connector is drawn from
+	 * @param {string} type - The type of connector (e.g. "split")
+	 * @param {object} settings - The connector settings, as for SvgConnector.draw()
+	 */
+	addConnector(entry, type, settings) {
+		if (!this._connectors.has(entry.id)) {
+			this._connectors.set(entry.id, []);
+		}
+		this._connectors.get(entry.id).push({ type: type, settings: settings, dimmed: entry.classList.contains("timeline-dimmed") });
+	}
+
+	/**
+	 * Remove the connectors drawn from the given entries.
+	 * @param {array.<string>} ids - The entry IDs
+	 */
+	removeConnectors(ids) {
+		for (const id of ids) {
+			this._connectors.delete(id);
+		}
+	}
+
+	/**
+	 * Set which connectors are traced (see Diagram#trace()). While a trace is set, entries without the "timeline-traced" class,
+	 * and connectors which aren't traced, are dimmed.
+	 * @param {function|null} test - Called with the settings of a connector, returning whether it is traced. Null to clear the trace.
+	 */
+	setTrace(test) {
+		this._trace = test;
+	}
+
+	/**
+	 * Get all connectors, in the order they are drawn.
+	 * @return {array.<object>} - Each with the 'entry' ID, connector 'type' and 'settings', and whether it is 'dimmed'
+	 */
+	getConnectors() {
+		const connectors = [];
+		for (const [id, list] of this._connectors) {
+			for (const c of list) {
+				connectors.push({ entry: id, type: c.type, settings: c.settings, dimmed: c.dimmed });
+			}
+		}
+		const rank = (c) => connectorOrder.indexOf(c.type);
+		return connectors.sort((a, b) => rank(a) - rank(b));
+	}
+
+	/**
+	 * Redraw the canvas with the given entries.
+	 * Drawing is done in the next animation frame, so repeated calls (e.g. while panning) only draw once.
+	 * @param {array.<object>} entries - Each with the entry's 'element', and its 'box' from the layout (see DiagramLayout#getBox())
+	 */
+	render(entries) {
+		this._entries = entries;
+		this._indexRows();
+
+		if (this._frame !== null) return;
+		this._frame = window.requestAnimationFrame(() => {
+			this._frame = null;
+			this._paint();
+		});
+	}
+
+	/**
+	 * Find the entry at a point on the screen.
+	 * @param {number} clientX
+	 * @param {number} clientY
+	 * @return {HTMLElement|null}
+	 */
+	entryAt(clientX, clientY) {
+		const item = this._itemAt(this._toDiagram(clientX, clientY));
+		return (item ? item.element : null);
+	}
+
+	/**
+	 * Find the connector at a point on the screen: the one drawn on top whose line passes within a few px of it.
+	 * @param {number} clientX
+	 * @param {number} clientY
+	 * @return {object|null} - As returned by getConnectors()
+	 */
+	connectorAt(clientX, clientY) {
+		const point = this._toDiagram(clientX, clientY);
+		const connectors = this.getConnectors();
+		//Search backwards, to find the connector drawn on top
+		for (let i = connectors.length - 1; i >= 0; i--) {
+			const s = connectors[i].settings;
+			if (this._connectorDistance(point, s) <= s.stroke/2 + connectorHitMargin) {
+				return connectors[i];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Remove the canvas and its event listeners.
+	 */
+	destroy() {
+		if (this._frame !== null) {
+			window.cancelAnimationFrame(this._frame);
+			this._frame = null;
+		}
+		for (const [type, handler] of this._listeners) {
+			this._canvas.removeEventListener(type, handler);
+		}
+		if (this._hover) {
+			this._hover.element.classList.remove("hover");
+			this._hover = null;
+		}
+		this._canvas.remove();
+		this._connectors.clear();
+		this._rows.clear();
+		this._entries = [];
+	}
+
+	/**
+	 * Group the entries by row for hit-testing. Short entries are placed after others, as they are drawn on top.
+	 * The entry under the pointer is kept, with its new box.
+	 * @protected
+	 */
+	_indexRows() {
+		this._rows.clear();
+		const sorted = [...this._entries].sort((a, b) => a.box.min - b.box.min);
+		for (const item of sorted) {
+			if (!this._rows.has(item.box.row)) {
+				this._rows.set(item.box.row, []);
+			}
+			this._rows.get(item.box.row).push(item);
+		}
+		if (this._hover) {
+			this._hover = this._entries.find(item => item.element === this._hover.element) || this._hover;
+		}
+	}
+
+	/**
+	 * Find the entry whose box contains a point.
+	 * @protected
+	 * @param {object} point - In diagram coordinates
+	 * @return {object|null} - The entry's 'element' and 'box'
+	 */
+	_itemAt(point) {
+		//An expanded entry can overlap other rows, so is checked first
+		if (this._hover && this._contains(this._entryBox(this._hover), point)) {
+			return this._hover;
+		}
+
+		const cross = (this._vertical ? point.x : point.y);
+		const row = this._rows.get(Math.floor(cross / this._config.rowHeight) - 1) || [];
+		//Search backwards, to find the entry drawn on top
+		for (let i = row.length - 1; i >= 0; i--) {
+			if (this._contains(this._entryBox(row[i]), point)) {
+				return row[i];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Draw the visible part of the diagram.
+	 * The canvas is moved to cover the visible area, and sized for the current scale, so it is always sharp.
+	 * @protected
+	 */
+	_paint() {
+		const region = this._getRegion();
+		const canvas = this._canvas;
+		const ctx = this._ctx;
+
+		if (region.w <= 0 || region.h <= 0 || !ctx) {
+			canvas.width = 0;
+			canvas.height = 0;
+			return;
+		}
+
+		const ratio = Math.min(region.scale * (window.devicePixelRatio || 1), maxCanvasSize / Math.max(region.w, region.h));
+		canvas.style.left = region.x + "px";
+		canvas.style.top = region.y + "px";
+		canvas.style.width = region.w + "px";
+		canvas.style.height = region.h + "px";
+		canvas.width = Math.ceil(region.w * ratio);
+		canvas.height = Math.ceil(region.h * ratio);
+
+		ctx.setTransform(ratio, 0, 0, ratio, -region.x * ratio, -region.y * ratio);
+		ctx.clearRect(region.x, region.y, region.w, region.h);
+
+		this._paintGuides(ctx, region);
+		this._paintPeriods(ctx, region);
+		this._paintLanes(ctx, region);
+		this._paintDates(ctx, region);
+		this._paintConnectors(ctx, region);
+		this._paintEntries(ctx, region);
+		this._paintLabels(ctx, region);
+	}
+
+	/**
+	 * Get the area of the diagram to draw: the part visible on screen (see getVisibleRegion()).
+	 * @protected
+	 * @return {object} - x, y, w and h, and the scale the diagram is displayed at
+	 */
+	_getRegion() {
+		return getVisibleRegion(this._container);
+	}
+
+	/**
+	 * Get the scale the diagram is displayed at (e.g. when zoomed with panzoom).
+	 * @protected
+	 * @param {DOMRect} rect - The container's bounding rectangle
+	 * @return {number}
+	 */
+	_getScale(rect) {
+		return (rect.width / parseFloat(this._container.style.width)) || 1;
+	}
+
+	/**
+	 * Convert a point on the screen to diagram coordinates.
+	 * @protected
+	 * @param {number} clientX
+	 * @param {number} clientY
+	 * @return {object}
+	 */
+	_toDiagram(clientX, clientY) {
+		const rect = this._container.getBoundingClientRect();
+		const scale = this._getScale(rect);
+		return {
+			x: (clientX - rect.left) / scale,
+			y: (clientY - rect.top) / scale
+		};
+	}
+
+	/**
+	 * Draw the guides.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} region
+	 */
+	_paintGuides(ctx, region) {
+		const crossSize = parseFloat(this._container.style[this._vertical ? "width" : "height"]);
+
+		for (const guide of this._scene.guides) {
+			const box = this._box(guide.pos, 0, guide.size, crossSize);
+			if (!this._intersects(box, region)) continue;
+
+			ctx.fillStyle = (guide.odd ? this._colours.guideOdd : this._colours.guide);
+			ctx.fillRect(box.x, box.y, box.w, box.h);
+			this._paintLine(ctx, this._box(guide.pos, 0, 0, crossSize), this._colours.guideBorder, 1, [3, 3]);
+		}
+	}
+
+	/**
+	 * Draw the named periods, unless they are hidden (see Diagram#togglePeriods()). Their labels are drawn with the date axes.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} region
+	 */
+	_paintPeriods(ctx, region) {
+		if (this._container.classList.contains("timeline-periods-hidden")) return;
+		const crossSize = parseFloat(this._container.style[this._vertical ? "width" : "height"]);
+
+		ctx.globalAlpha = 0.15;
+		for (const period of this._scene.periods) {
+			const box = this._box(period.pos, 0, period.size, crossSize);
+			if (!this._intersects(box, region)) continue;
+
+			ctx.fillStyle = period.colour || this._config.strokeColour;
+			ctx.fillRect(box.x, box.y, box.w, box.h);
+		}
+		ctx.globalAlpha = 1;
+	}
+
+	/**
+	 * Draw the lanes of groups of entries. Labels are drawn at the start of the visible region, so they stay in view.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} region
+	 */
+	_paintLanes(ctx, region) {
+		const timeSize = parseFloat(this._container.style[this._vertical ? "height" : "width"]);
+		const labelPos = (this._vertical ? region.y : region.x);
+
+		ctx.textBaseline = "top";
+		ctx.textAlign = "left";
+		ctx.font = `700 11px ${this._font}`;
+
+		for (const lane of this._scene.lanes) {
+			const cross = (lane.row + 1) * this._config.rowHeight;
+			const box = this._box(0, cross, timeSize, lane.rows * this._config.rowHeight);
+			if (!this._intersects(box, region)) continue;
+
+			if (lane.colour) {
+				ctx.globalAlpha = 0.2;
+				ctx.fillStyle = lane.colour;
+				ctx.fillRect(box.x, box.y, box.w, box.h);
+				ctx.globalAlpha = 1;
+			}
+			this._paintLine(ctx, this._box(0, cross, timeSize, 0), this._config.strokeColour, 1, []);
+
+			const point = this._box(labelPos + this._config.padding, cross + 2, 0, 0);
+			ctx.fillStyle = this._colours.text;
+			ctx.fillText(lane.label, point.x, point.y);
+		}
+	}
+
+	/**
+	 * Draw the date axes at the start and end of the rows, with the labels of any named periods along their bottom.
+	 * Month marks are included if the container has the "show-months" class (see Diagram#setScale()).
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} region
+	 */
+	_paintDates(ctx, region) {
+		if (this._scene.dates.length === 0) return;
+
+		const rowHeight = this._config.rowHeight;
+		const padding = this._config.padding;
+		const timeSize = parseFloat(this._container.style[this._vertical ? "height" : "width"]);
+		const showMonths = this._container.classList.contains("show-months");
+		const dates = this._scene.dates.filter(date => showMonths || !date.month);
+
+		ctx.textBaseline = "top";
+		ctx.textAlign = "left";
+
+		for (const cross of [0, (this._config.rows + 1) * rowHeight]) {
+			const band = this._box(0, cross, timeSize, rowHeight);
+			if (!this._intersects(band, region)) continue;
+
+			ctx.fillStyle = this._colours.entry;
+			ctx.fillRect(band.x, band.y, band.w, band.h);
+
+			for (const date of dates) {
+				const pos = date.pos;
+				if (!this._intersects(this._box(pos, cross, rowHeight, rowHeight), region)) continue;
+
+				this._paintLine(ctx, this._box(pos, cross, 0, rowHeight), this._config.strokeColour, 1, (date.month ? [1, 2] : []));
+
+				const point = this._box(pos + (date.month ? 1 : padding), cross + padding, 0, 0);
+				ctx.font = (date.month ? `8px ${this._font}` : `700 12px ${this._font}`);
+				ctx.fillStyle = this._colours.text;
+				ctx.fillText(date.label, point.x, point.y);
+			}
+			this._paintPeriodLabels(ctx, region, cross);
+		}
+	}
+
+	/**
+	 * Draw the labels of the named periods in a date axis, clipped to the length of each period, unless they are hidden.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} region
+	 * @param {number} cross - The position of the axis across the rows
+	 */
+	_paintPeriodLabels(ctx, region, cross) {
+		if (this._container.classList.contains("timeline-periods-hidden")) return;
+		const rowHeight = this._config.rowHeight;
+		const border = 3;
+
+		ctx.font = `10px ${this._font}`;
+		//Labels run along the bottom of the axis, or up its right side if the diagram is vertical
+		ctx.textBaseline = (this._vertical ? "top" : "bottom");
+		ctx.textAlign = (this._vertical ? "right" : "left");
+		for (const period of this._scene.periods) {
+			const pos = period.pos;
+			const size = period.size;
+			const box = this._box(pos, cross + rowHeight - border, size, border);
+			if (!this._intersects(box, region)) continue;
+
+			ctx.fillStyle = period.colour || this._config.strokeColour;
+			ctx.fillRect(box.x, box.y, box.w, box.h);
+
+			ctx.save();
+			const clip = this._box(pos, cross, size, rowHeight);
+			ctx.beginPath();
+			ctx.rect(clip.x, clip.y, clip.w, clip.h);
+			ctx.clip();
+			const point = this._box(pos + this._config.padding, cross + rowHeight - border, 0, 0);
+			ctx.fillStyle = this._colours.text;
+			ctx.fillText(period.label, point.x, point.y);
+			ctx.restore();
+		}
+		ctx.textBaseline = "top";
+		ctx.textAlign = "left";
+	}
+
+	/**
+	 * Draw all connectors.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} region
+	 */
+	_paintConnectors(ctx, region) {
+		for (const connector of this.getConnectors()) {
+			const s = connector.settings;
+			const margin = s.stroke * 3;
+			const bounds = {
+				x: Math.min(s.start.x, s.end.x) - margin,
+				y: Math.min(s.start.y, s.end.y) - margin,
+				w: Math.abs(s.end.x - s.start.x) + margin * 2,
+				h: Math.abs(s.end.y - s.start.y) + margin * 2
+			};
+			if (this._intersects(bounds, region)) {
+				const untraced = (this._trace !== null && !this._trace(s));
+				ctx.globalAlpha = (connector.dimmed || untraced ? dimmedOpacity : 1);
+				this._paintConnector(ctx, s);
+			}
+		}
+		ctx.globalAlpha = 1;
+	}
+
+	/**
+	 * Draw a single connector, with its markers. The result matches SvgConnector.draw() with the same settings.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} settings - As for SvgConnector.draw()
+	 */
+	_paintConnector(ctx, { start, end, stroke, colour, markers = [], dashes = "", style = "straight", direction = "horizontal" }) {
+		ctx.strokeStyle = colour;
+		ctx.fillStyle = colour;
+		ctx.lineWidth = stroke;
+		ctx.setLineDash(this._parseDashes(dashes));
+
+		ctx.beginPath();
+		ctx.moveTo(start.x, start.y);
+		if (style === "elbow") {
+			if (direction === "vertical") {
+				ctx.lineTo(start.x, end.y);
+			} else {
+				ctx.lineTo(end.x, start.y);
+			}
+			ctx.lineTo(end.x, end.y);
+		} else if (style === "curve") {
+			if (direction === "vertical") {
+				const my = (start.y + end.y) / 2;
+				ctx.bezierCurveTo(start.x, my, end.x, my, end.x, end.y);
+			} else {
+				const mx = (start.x + end.x) / 2;
+				ctx.bezierCurveTo(mx, start.y, mx, end.y, end.x, end.y);
+			}
+		} else {
+			ctx.lineTo(end.x, end.y);
+		}
+		ctx.stroke();
+		ctx.setLineDash([]);
+
+		this._paintMarker(ctx, markers[0], start, stroke);
+		this._paintMarker(ctx, markers[1], end, stroke);
+		if (markers[1] === "dots") {
+			const dots = {
+				x: end.x + Math.sign(end.x - start.x) * stroke * 2,
+				y: end.y + Math.sign(end.y - start.y) * stroke * 2
+			};
+			this._paintLine(ctx, { x: end.x, y: end.y, w: dots.x - end.x, h: dots.y - end.y }, colour, stroke * 2, [2, 2]);
+		}
+	}
+
+	/**
+	 * Get the shortest distance from a point to the line of a connector, following the same path as _paintConnector().
+	 * Curves are split into straight segments.
+	 * @protected
+	 * @param {object} point - In diagram coordinates
+	 * @param {object} settings - As for SvgConnector.draw()
+	 * @return {number}
+	 */
+	_connectorDistance(point, { start, end, style = "straight", direction = "horizontal" }) {
+		let points = [start, end];
+		if (style === "elbow") {
+			points = [start, (direction === "vertical" ? { x: start.x, y: end.y } : { x: end.x, y: start.y }), end];
+		} else if (style === "curve") {
+			//The control points of the curve drawn, as in _paintConnector()
+			const [c1, c2] = (direction === "vertical"
+				? [{ x: start.x, y: (start.y + end.y) / 2 }, { x: end.x, y: (start.y + end.y) / 2 }]
+				: [{ x: (start.x + end.x) / 2, y: start.y }, { x: (start.x + end.x) / 2, y: end.y }]);
+			points = Array.from(Array(curveSegments + 1), (_, i) => {
+				const t = i / curveSegments;
+				const [a, b, c, d] = [(1-t)**3, 3*(1-t)**2*t, 3*(1-t)*t**2, t**3];
+				return { x: a*start.x + b*c1.x + c*c2.x + d*end.x, y: a*start.y + b*c1.y + c*c2.y + d*end.y };
+			});
+		}
+
+		let distance = Infinity;
+		for (let i = 1; i < points.length; i++) {
+			distance = Math.min(distance, this._segmentDistance(point, points[i-1], points[i]));
+		}
+		return distance;
+	}
+
+	/**
+	 * Get the shortest distance from a point to a straight line segment.
+	 * @protected
+	 * @param {object} point
+	 * @param {object} a - The start of the segment
+	 * @param {object} b - The end of the segment
+	 * @return {number}
+	 */
+	_segmentDistance(point, a, b) {
+		const dx = b.x - a.x;
+		const dy = b.y - a.y;
+		const length = dx*dx + dy*dy;
+		const t = (length ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / length)) : 0);
+		return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+	}
+
+	/**
+	 * Draw a circle or square marker at a point.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {string} type - "circle" or "square" (anything else is ignored)
+	 * @param {object} point
+	 * @param {number} stroke - The stroke width of the line
+	 */
+	_paintMarker(ctx, type, point, stroke) {
+		if (type === "circle") {
+			ctx.beginPath();
+			ctx.arc(point.x, point.y, stroke, 0, Math.PI * 2);
+			ctx.fill();
+		}
+		if (type === "square") {
+			ctx.fillRect(point.x - stroke, point.y - stroke, stroke * 2.5, stroke * 2.5);
+		}
+	}
+
+	/**
+	 * Draw the entries.
+	 * Highlighted and hovered entries are drawn last, so they are on top.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} region
+	 */
+	_paintEntries(ctx, region) {
+		const raised = [];
+		for (const list of this._rows.values()) {
+			for (const item of list) {
+				const classes = item.element.classList;
+				if (classes.contains("hover") || classes.contains("highlight")) {
+					raised.push(item);
+				} else if (this._intersects(this._entryBox(item), region)) {
+					this._paintEntry(ctx, item);
+				}
+			}
+		}
+		for (const item of raised) {
+			this._paintEntry(ctx, item);
+		}
+	}
+
+	/**
+	 * Draw a single entry box with its name, matching the entry styles in the stylesheet.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} item - The entry's 'element' and 'box'
+	 */
+	_paintEntry(ctx, item) {
+		const entry = item.element;
+		const box = this._entryBox(item);
+		const expanded = entry.classList.contains("hover");
+		const min = item.box.min && !expanded;
+		const border = 3;
+
+		ctx.save();
+		const untraced = (this._trace !== null && !entry.classList.contains("timeline-traced"));
+		if (entry.classList.contains("timeline-dimmed") || untraced) {
+			ctx.globalAlpha = dimmedOpacity;
+		}
+		if (entry.classList.contains("highlight")) {
+			ctx.shadowColor = this._colours.highlight;
+			ctx.shadowBlur = 10;
+		}
+		this._roundedRect(ctx, { x: box.x + border/2, y: box.y + border/2, w: box.w - border, h: box.h - border }, (min ? Math.min(box.w, box.h)/2 : 3));
+		ctx.fillStyle = this._colours.entry;
+		ctx.fill();
+		ctx.shadowColor = "transparent";
+		ctx.strokeStyle = entry.dataset.colour || this._config.strokeColour;
+		ctx.lineWidth = border;
+		ctx.stroke();
+
+		//Short entries don't show their name, as for the document entries
+		if (!min) {
+			ctx.beginPath();
+			ctx.rect(box.x, box.y, box.w, box.h);
+			ctx.clip();
+
+			const width = box.w - entryText.inset*2;
+			ctx.font = `${entryText.size}px ${this._font}`;
+			ctx.fillStyle = this._colours.text;
+			ctx.textAlign = "center";
+			ctx.textBaseline = "top";
+			let lines = this._wrapText(entry.textContent.trim(), width);
+			//Names which don't fit are cut short (with the 'labels' config), unless expanded
+			if (entry.classList.contains("timeline-label-truncated") && !expanded) {
+				const shown = parseInt(entry.style.getPropertyValue("--timeline-label-lines")) || 1;
+				const more = (lines.length > shown);
+				lines = lines.slice(0, shown).map((line, i) => this._ellipsis(line, width, more && i === shown - 1));
+			}
+			lines.forEach((line, i) => {
+				ctx.fillText(line, box.x + box.w/2, box.y + entryText.inset + i * entryText.lineHeight);
+			});
+		}
+		ctx.restore();
+	}
+
+	/**
+	 * Get the box an entry is drawn in: its box from the layout, unless it is hovered,
+	 * when it is expanded to fit its name, as for the document entries.
+	 * @protected
+	 * @param {object} item - The entry's 'element' and 'box'
+	 * @return {object} - x, y, w and h
+	 */
+	_entryBox(item) {
+		const {x, y, w, h} = item.box;
+		if (!item.element.classList.contains("hover")) {
+			return { x: x, y: y, w: w, h: h };
+		}
+
+		const [time, cross] = (this._vertical ? [y, x] : [x, y]);
+		if (this._vertical) {
+			return this._box(time, cross, this._config.boxWidth, this._config.boxHeight);
+		}
+		this._ctx.font = `${entryText.size}px ${this._font}`;
+		const lines = this._wrapText(item.element.textContent.trim(), this._config.boxWidth - entryText.inset*2).length;
+		return this._box(time, cross, this._config.boxWidth, Math.max(this._config.boxHeight, lines * entryText.lineHeight + entryText.inset*2));
+	}
+
+	/**
+	 * Draw the labels placed outside short entries (with the 'labels' config), after the entries, as they are shown above them.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} region
+	 */
+	_paintLabels(ctx, region) {
+		ctx.font = `${entryText.size}px ${this._font}`;
+		ctx.fillStyle = this._colours.text;
+		ctx.textAlign = "left";
+		ctx.textBaseline = "top";
+		for (const label of this._scene.labels) {
+			if (!this._intersects(label, region)) continue;
+			ctx.globalAlpha = (label.dimmed || (this._trace !== null && !label.traced) ? dimmedOpacity : 1);
+			const text = this._ellipsis(label.text, label.w - entryText.labelPadding*2);
+			ctx.fillText(text, label.x + entryText.labelPadding, label.y + (entryText.lineHeight - entryText.size)/2);
+		}
+		ctx.globalAlpha = 1;
+	}
+
+	/**
+	 * Split text into lines which fit the given width, with the current font.
+	 * @protected
+	 * @param {string} str
+	 * @param {number} width
+	 * @return {array.<string>}
+	 */
+	_wrapText(str, width) {
+		const lines = [];
+		let line = "";
+		for (const word of str.split(/\s+/)) {
+			const next = (line ? line + " " + word : word);
+			if (line && this._ctx.measureText(next).width > width) {
+				lines.push(line);
+				line = word;
+			} else {
+				line = next;
+			}
+		}
+		lines.push(line);
+		return lines;
+	}
+
+	/**
+	 * Cut text short with an ellipsis, if needed to fit the given width with the current font.
+	 * @protected
+	 * @param {string} str
+	 * @param {number} width
+	 * @param {boolean} [more = false] - Whether there is more text after this, so an ellipsis is always added
+	 * @return {string}
+	 */
+	_ellipsis(str, width, more = false) {
+		if (!more && this._ctx.measureText(str).width <= width) return str;
+		let text = str;
+		while (text && this._ctx.measureText(text + "\u2026").width > width) {
+			text = text.slice(0, -1);
+		}
+		return text.trimEnd() + "\u2026";
+	}
+
+	/**
+	 * Draw a line from the start to the end of a box.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} box - x, y, w and h
+	 * @param {string} colour
+	 * @param {number} width
+	 * @param {array.<number>} dashes
+	 */
+	_paintLine(ctx, box, colour, width, dashes) {
+		ctx.strokeStyle = colour;
+		ctx.lineWidth = width;
+		ctx.setLineDash(dashes);
+		ctx.beginPath();
+		ctx.moveTo(box.x, box.y);
+		ctx.lineTo(box.x + box.w, box.y + box.h);
+		ctx.stroke();
+		ctx.setLineDash([]);
+	}
+
+	/**
+	 * Add a rectangle with rounded corners to the current path.
+	 * @protected
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {object} box - x, y, w and h
+	 * @param {number} r - The corner radius
+	 */
+	_roundedRect(ctx, box, r) {
+		const {x, y, w, h} = box;
+		ctx.beginPath();
+		ctx.moveTo(x + r, y);
+		ctx.arcTo(x + w, y, x + w, y + h, r);
+		ctx.arcTo(x + w, y + h, x, y + h, r);
+		ctx.arcTo(x, y + h, x, y, r);
+		ctx.arcTo(x, y, x + w, y, r);
+		ctx.closePath();
+	}
+
+	/**
+	 * Convert an SVG dasharray string to an array for the canvas.
+	 * @protected
+	 * @param {string} dashes
+	 * @return {array.<number>}
+	 */
+	_parseDashes(dashes) {
+		if (!dashes) return [];
+		return String(dashes).split(/[\s,]+/).filter(d => d !== "").map(Number);
+	}
+
+	/**
+	 * Convert a box given in time and cross axis terms to canvas coordinates, according to the orientation.
+	 * @protected
+	 * @param {number} time - Position along the time axis
+	 * @param {number} cross - Position across the rows
+	 * @param {number} timeSize - Length along the time axis
+	 * @param {number} crossSize - Length across the rows
+	 * @return {object} - x, y, w and h
+	 */
+	_box(time, cross, timeSize, crossSize) {
+		if (this._vertical) {
+			return { x: cross, y: time, w: crossSize, h: timeSize };
+		}
+		return { x: time, y: cross, w: timeSize, h: crossSize };
+	}
+
+	/**
+	 * Check if two boxes overlap.
+	 * @protected
+	 * @param {object} a
+	 * @param {object} b
+	 * @return {boolean}
+	 */
+	_intersects(a, b) {
+		return a.x <= b.x + b.w && a.x + a.w >= b.x && a.y <= b.y + b.h && a.y + a.h >= b.y;
+	}
+
+	/**
+	 * Check if a box contains a point.
+	 * @protected
+	 * @param {object} box
+	 * @param {object} point
+	 * @return {boolean}
+	 */
+	_contains(box, point) {
+		return point.x >= box.x && point.x <= box.x + box.w && point.y >= box.y && point.y <= box.y + box.h;
+	}
+
+	/**
+	 * Change the entry under the pointer, dispatching mouseout and mouseover events on the entries.
+	 * @protected
+	 * @param {object|null} item - The entry's 'element' and 'box'
+	 * @param {MouseEvent} e - The canvas event
+	 */
+	_setHover(item, e) {
+		if (item?.element === this._hover?.element) return;
+
+		if (this._hover) {
+			this._hover.element.classList.remove("hover");
+			this._dispatch(this._hover.element, "mouseout", e);
+		}
+		this._hover = item;
+		if (item) {
+			item.element.classList.add("hover");
+			this._dispatch(item.element, "mouseover", e);
+		}
+		this._canvas.style.cursor = (item ? "pointer" : "");
+		this.render(this._entries);
+	}
+
+	/**
+	 * Pass a click on the canvas to the entry under the pointer.
+	 * The canvas event is stopped, so listeners on the container only receive the entry's click.
+	 * @protected
+	 * @param {MouseEvent} e
+	 */
+	_clickHandler(e) {
+		const entry = this.entryAt(e.clientX, e.clientY);
+		if (!entry) return;
+		e.stopPropagation();
+		this._dispatch(entry, "click", e);
+	}
+
+	/**
+	 * Dispatch a mouse event on an entry, copied from an event on the canvas.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @param {string} type
+	 * @param {MouseEvent} e
+	 */
+	_dispatch(entry, type, e) {
+		entry.dispatchEvent(new MouseEvent(type, {
+			bubbles: true,
+			cancelable: true,
+			clientX: e.clientX,
+			clientY: e.clientY,
+			screenX: e.screenX,
+			screenY: e.screenY,
+			button: e.button,
+			buttons: e.buttons,
+			ctrlKey: e.ctrlKey,
+			shiftKey: e.shiftKey,
+			altKey: e.altKey,
+			metaKey: e.metaKey
+		}));
+	}
+}
+
+export default CanvasRenderer
@@ -1,26 +1,65 @@
 import SvgConnector from './SvgConnector.js';
-import DiagramPositioner from './DiagramPositioner.js';
-import {applyConfig} from './util.js';
+import SvgExporter from './SvgExporter.js';
+import CanvasRenderer from './CanvasRenderer.js';
+import LabelPlacer from './LabelPlacer.js';
+import {defaultLayoutConfig, DiagramLayout} from './DiagramLayout.js';
+import {TimelineValidationError, DiagramValidator} from './DiagramValidator.js';
+import {entryText, estimateTextWidth, applyConfig, parseDate, isSubYearDate, getVisibleRegion} from './util.js';
+
+const svgns = "http://www.w3.org/2000/svg";
 
 /**
- * The default configuration object for the Diagram class
+ * The default configuration object for the Diagram class, including the layout config (see DiagramLayout)
  */
-const defaultDiagramConfig = {
-	yearStart: 1900,
-	yearEnd: new Date().getFullYear() + 1,
-	strokeWidth: 4,
-	yearWidth: 50,
-	rowHeight: 50,
-	padding: 5,
-	strokeColour: "#999",
-	boxWidth: 100,
+const defaultDiagramConfig = Object.assign({}, defaultLayoutConfig, {
 	guides: true,
 	guideInterval: 5,
 	entrySelector: "div",
-	linkDashes: "4",
-	irregularDashes: "20 2"
+	data: null,
+	validation: "lenient",
+	sharedSvg: false,
+	renderer: "dom",
+	events: null,
+	periods: null,
+	labels: "inside"
+});
+
+/**
+ * The CSS properties used for each axis of the diagram, for each orientation.
+ * The 'time' axis is X if horizontal, and the 'cross' axis, across rows, is Y.
+ * Entries and connectors are positioned by DiagramLayout; these are used for the date axes, guides, lanes and size of the diagram.
+ */
+const axes = {
+	horizontal: {
+		time: "left",
+		cross: "top",
+		timeSize: "width",
+		crossSize: "height"
+	},
+	vertical: {
+		time: "top",
+		cross: "left",
+		timeSize: "height",
+		crossSize: "width"
+	}
 }
 
+/**
+ * Single letter month labels for the date axis (the first is omitted, as it is marked by the year)
+ */
+const monthLabels = ["", "F", "M", "A", "M", "J", "J", "A", "S", "O", "N", "D"];
+
+/**
+ * The minimum width in px of a month on screen for month marks to be shown on the date axis
+ */
+const minMonthWidth = 10;
+
+/**
+ * Entry object properties which are set as data attributes on generated entry elements.
+ * Other properties (apart from 'id' and 'name') are ignored.
+ */
+const entryProperties = ["start", "end", "row", "become", "split", "merge", "from", "fork", "links", "colour", "irregular", "endEstimate", "connectorStyle", "group", "aliases", "events", "description"];
+
 /**
  * Class representing the timeline diagram drawing area. This is used by the main Timeline class.
  * The diagram is drawn by instanciating this class and calling create() on the instance.
@@ -46,12 +85,38 @@ class Diagram {
 	 * 								Must be a valid dasharray. See <https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dasharray>
 	 * @param {string} [config.irregularDashes = "20 2"] - The svg dasharray for entries marked as 'irregular' with the data-irregular attribute.
 	 * 								Must be a valid dasharray. See <https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dasharray>
+	 * @param {array.<object>} [config.data] - An array of entry objects from which to generate the entry elements (see Diagram#_createEntry).
+	 * @param {string|boolean} [config.validation = "lenient"] - How to handle invalid entry data: "strict" to throw an error, "lenient" to skip invalid data and emit a warning event (see _warn()), or false to skip validation.
+	 * @param {string} [config.orientation = "horizontal"] - The direction of the time axis: "horizontal" (left to right) or "vertical" (top to bottom, with rows as columns).
+	 * @param {boolean} [config.sharedSvg = false] - Draw all connectors in a single SVG element covering the diagram, instead of a separate SVG for each line.
+	 * @param {string|object} [config.connectorStyle = "straight"] - The style of connectors: "straight", "curve" or "elbow".
+	 * 								An object can be given to set the style by connector type, with the properties "split", "merge", "fork", "link" and "default".
+	 * @param {string} [config.positioner = "default"] - How to choose rows for entries without a manual row: "default" (the first row with space),
+	 * 								or "optimised" (then moved to reduce connector crossings and length - see OptimisedPositioner).
+	 * @param {object} [config.groups] - The lanes for entries with a data-group, by group: each an object with an optional 'label', 'colour' and 'order'.
+	 * @param {string} [config.renderer = "dom"] - How to draw the diagram: "dom" (with an element for each entry and connector) or "canvas" (on a single canvas, for very large diagrams).
+	 * @param {array.<object>} [config.events] - Events to mark across the whole diagram, each with a 'date' and 'label', and an optional 'description' and 'colour' (see _addEvents()).
+	 * @param {array.<object>} [config.periods] - Named periods to shade behind the diagram, each with a 'label', 'start', 'end' and optional 'colour' (see _addPeriods()).
+	 * @param {string} [config.labels = "inside"] - Where to show entry names: "inside" their boxes only, or "auto" to place the names of short entries
+	 * 								outside their boxes where there is space, and truncate names which don't fit (see _addLabels()).
 	 */
 	constructor(container, config = {}) {		
 		this._config = this._makeConfig(config);
+		this._axis = (this._config.orientation === "vertical" ? axes.vertical : axes.horizontal);
 		this._applyCSSProperties();
 		this._container = document.getElementById(container);
-		this._entries = document.querySelectorAll("#" + container + " > " + this._config.entrySelector+":not(.timeline-exclude)");
+		this._generated = [];
+		this._originals = new Map();
+		this._data = new Map();
+		this._collapsed = new Map();
+		this._filter = null;
+		this._filtered = new Set();
+		this._dimmed = new Set();
+		this._trace = null;
+		if (Array.isArray(this._config.data)) {
+			this._addEntries(this._config.data);
+		}
+		this._entries = [...document.querySelectorAll("#" + container + " > " + this._config.entrySelector+":not(.timeline-exclude)")];
 	}
 	
 	/**
@@ -83,487 +148,1919 @@ class Diagram {
 	 * This should be called after creating a class instance.
 	 */
 	create() {
+		this._saveOriginals();
+		this._validate();
 		this._setup();
 		this._draw();
 		this._addDates();
 		if (this._config.guides === true) {
 			this._addGuides();
 		}
+		this._addPeriods();
+		this._addLanes();
+		this._addEvents();
+		this._addEntryEvents();
+		this._addLabels();
+		this.setScale(1);
 		return this._container;
 	}
 	
-	/** Setup necessary CSS classes and data for entries.
-	 * @protected
+	/**
+	 * Export the diagram as a standalone SVG document.
+	 * @return {string}
 	 */
-	_setup() {
-		this._prepareEntries();
-		this._prepareRows();
-		
-		//Set up container
-		this._container.classList.add("timeline-container");
-		this._container.style.height = (this._config.rows + 2) * this._config.rowHeight + "px"; //Add 2 rows to total for top and bottom space
- 		this._container.style.width = (this._config.yearEnd + 1 - this._config.yearStart) * this._config.yearWidth + "px"; //Add 1 year for padding
+	toSVG() {
+		const connectors = (this._renderer ? this._renderer.getConnectors() : null);
+		const scene = Object.assign({ entries: this._getEntryBoxes() }, this._scene);
+		return new SvgExporter(this._container, this._config, scene, connectors).toString();
+	}
 	
-		this._setEntries();
+	/**
+	 * Redraw the diagram, if it is drawn on a canvas (with the 'canvas' renderer).
+	 * This should be called when the visible part of the diagram changes, e.g. on scrolling, and when entry classes are changed.
+	 * Otherwise, this does nothing.
+	 */
+	render() {
+		if (this._renderer) {
+			this._renderer.render(this._getEntryBoxes());
+		}
 	}
 	
-	/** Prepare all entries with initial classes and data
-	 * @protected
+	/**
+	 * Find the connector at a point on the screen, if the diagram is drawn on a canvas (with the 'canvas' renderer).
+	 * Otherwise, each connector is an element, which is the target of events on it, so this returns null.
+	 * @param {number} clientX
+	 * @param {number} clientY
+	 * @return {object|null} - The connector's settings from the layout, with its 'type', 'source', 'target' and 'entry' (see DiagramLayout#getConnectors())
 	 */
-	_prepareEntries() {
-		for (const entry of this._entries) {
-			entry.classList.add("entry");
-			entry.dataset.end = this._calcEnd(entry);
+	connectorAt(clientX, clientY) {
+		const connector = (this._renderer ? this._renderer.connectorAt(clientX, clientY) : null);
+		return (connector ? connector.settings : null);
+	}
+	
+	/**
+	 * Get the box an entry is drawn in.
+	 * @param {string} id - The ID of a shown entry
+	 * @return {object} - x, y, w and h in px, in the diagram's own coordinates, with the entry's 'row', 'start', 'end' and whether it is short ('min') (see DiagramLayout#getBox())
+	 */
+	getBox(id) {
+		return this._layout.getBox(id);
+	}
+	
+	/**
+	 * Get the named periods shown in the diagram: those in the 'periods' config with a label and valid dates in the timeline.
+	 * @return {array.<object>} - Each with the period's 'label', 'start', 'end' and 'colour', and its position ('pos') and length ('size') in px along the time axis
+	 */
+	getPeriods() {
+		return this._scene.periods.map(period => Object.assign({}, period));
+	}
+	
+	/**
+	 * Get the part of the diagram visible on screen: in the window, and any element which clips it (such as the panzoom wrapper).
+	 * @return {object} - The visible area in px in the diagram's own coordinates ('x', 'y', 'w' and 'h'), the 'scale' the diagram is displayed at,
+	 * 		and the 'start' and 'end' of the visible dates, as (possibly fractional) years
+	 */
+	getViewport() {
+		const region = getVisibleRegion(this._container);
+		const [from, size] = (this._config.orientation === "vertical" ? [region.y, region.h] : [region.x, region.w]);
+		return Object.assign(region, {
+			start: this._config.yearStart + from / this._config.yearWidth,
+			end: this._config.yearStart + (from + size) / this._config.yearWidth
+		});
+	}
+	
+	/**
+	 * Show or hide the named periods shaded behind the diagram (see the 'periods' config).
+	 * @param {boolean} show
+	 */
+	togglePeriods(show) {
+		this._container.classList.toggle("timeline-periods-hidden", !show);
+		this.render();
+	}
+	
+	/**
+	 * Collapse the descendants of an entry: all entries reachable from it via data-become, data-fork, and data-split (from it).
+	 * They are hidden, and a marker showing how many are hidden is added after the entry, which expands them again when clicked.
+	 * The remaining entries are positioned again, so the rows of the hidden entries are reclaimed.
+	 * @param {string} id - The ID of the entry
+	 * @return {boolean} - Whether the entry was collapsed (it isn't if it has no descendants, or is already collapsed)
+	 * @fires Timeline#timelineCollapse
+	 */
+	collapse(id) {
+		if (!this._getEntry(id)) {
+			throw new Error(`Can't collapse entry ${id}: no entry with this ID exists.`);
 		}
+		if (this._collapsed.has(id)) return false;
+		
+		const hidden = this._getDescendants(id);
+		if (hidden.size === 0) return false;
+		
+		this._collapsed.set(id, hidden);
+		this._relayout();
+		
+		const event = new CustomEvent('timelineCollapse', { detail: { id: id, hidden: [...hidden] } });
+		this._container.dispatchEvent(event);
+		return true;
 	}
 	
 	/**
-	 * Set the row for all entries, using automatic diagramPositioner if available
-	 * @protected
+	 * Expand a collapsed entry, showing its descendants again.
+	 * Descendants which are themselves collapsed stay collapsed.
+	 * @param {string} id - The ID of the entry
+	 * @return {boolean} - Whether the entry was expanded (it isn't if it wasn't collapsed)
+	 * @fires Timeline#timelineExpand
 	 */
-	_prepareRows() {
-		let rows = 1;
+	expand(id) {
+		if (!this._collapsed.has(id)) return false;
 		
-		//Find the highest manual row number
-		for (const entry of this._entries) {
-			if (parseInt(entry.dataset.row) > rows) {
-				rows = parseInt(entry.dataset.row);
-			}
-		}
-
-		//If we are using the positioner only (otherwise must be manually set)
-		if (typeof DiagramPositioner === "function") {
-			const years = this._config.yearEnd - this._config.yearStart;
-			const dp = new DiagramPositioner(years, this._config.yearStart, rows);
-			
-			for (const entry of this._entries) {
-				dp.setEntryRow(entry);
+		const hidden = this._collapsed.get(id);
+		this._collapsed.delete(id);
+		this._relayout();
+		
+		const event = new CustomEvent('timelineExpand', { detail: { id: id, shown: [...hidden].filter(other => !this._getHidden().has(other)) } });
+		this._container.dispatchEvent(event);
+		return true;
+	}
+	
+	/**
+	 * Check if an entry is collapsed.
+	 * @param {string} id - The ID of the entry
+	 * @return {boolean}
+	 */
+	isCollapsed(id) {
+		return this._collapsed.has(id);
+	}
+	
+	/**
+	 * Expand any collapsed entries which hide the given entry, so that it is shown.
+	 * @param {string} id - The ID of the entry
+	 */
+	reveal(id) {
+		for (const [collapsed, hidden] of this._collapsed) {
+			if (hidden.has(id)) {
+				this.expand(collapsed);
 			}
-			rows = dp.rows;
 		}
-		this._setConfigProp("rows", rows);
 	}
 	
 	/**
-	 * Set styles for each entry to position them according to calculated row and entry size
-	 * @protected
+	 * Get the relations between an entry and the other shown entries (not hidden by collapsing or a filter).
+	 * @param {string} id - The ID of the entry
+	 * @return {object} - With the properties 'to' (the entry's own relations) and 'from' (other entries' relations to it),
+	 * 		each an object of the IDs of the related entries by relation: 'become', 'split', 'merge', 'fork' and 'links'.
+	 * 		E.g. to.split is the entry it splits from, and from.split the entries which split from it.
 	 */
-	_setEntries() {
-		//Position entries and add additional data
-		for (const entry of this._entries) {
-			entry.style.left = this._yearToWidth(entry.dataset.start) + "px";
-			entry.style.top = (parseInt(entry.dataset.row) +1) * this._config.rowHeight + this._config.padding + "px"; //Add 1 to row due to 0 index.
-			if (entry.dataset.colour) {
-				entry.style.borderColor = entry.dataset.colour;
-			}
-			
-			//Style short entries (lasting less time than the box size)
-			if(this._checkSmallEntry(entry) === true) {
-				entry.classList.add("min");
-			}
+	getRelations(id) {
+		return this._getRelationMap().get(id);
+	}
+	
+	/**
+	 * Get the shown entries (not hidden by collapsing or a filter), in document order.
+	 * @return {array.<object>} - Each with the entry's 'id', 'name', 'start', 'end' (calculated from its relations if not set, e.g. when
+	 * 		other entries are founded from it, or null if it continues to the end of the diagram), whether the end is an estimate ('endEstimate'), the 'group' label (if any),
+	 * 		and its 'relations' (see getRelations())
+	 */
+	getEntries() {
+		const relations = this._getRelationMap();
+		const lanes = new Map(this._layout.getLanes().map(lane => [lane.id, lane.label]));
+		
+		return this._getVisible().map(entry => {
+			const obj = this._data.get(entry.id);
+			return {
+				id: entry.id,
+				name: entry.textContent.trim(),
+				start: obj.start,
+				end: (obj.end || obj.become || obj.fork || obj.merge || this._getFounded(entry.id).length > 0 ? this._calcEnd(obj) : null),
+				endEstimate: Boolean(obj.endEstimate && obj.endEstimate !== "false"),
+				group: (obj.group ? (lanes.get(obj.group) ?? obj.group) : null),
+				relations: relations.get(entry.id)
+			};
+		});
+	}
+	
+	/**
+	 * Find the entry next to another in the diagram, for moving around it with the keyboard.
+	 * The next entries are those it becomes, merges or forks into, then those which split from it, and the previous entries are the reverse.
+	 * The entries above and below (or left and right, if the diagram is vertical) are the nearest in the rows before or after it,
+	 * preferring entries active at its start date.
+	 * @param {string} id - The ID of the entry
+	 * @param {string} direction - "next", "previous", "above" or "below"
+	 * @return {string|null} - The ID of the adjacent entry, or null if there isn't one
+	 */
+	getAdjacent(id, direction) {
+		const {to, from} = this.getRelations(id);
+		
+		if (direction === "next") {
+			return [...to.become, ...to.merge, ...to.fork, ...from.split][0] ?? null;
+		}
+		if (direction === "previous") {
+			return [...from.become, ...from.merge, ...from.fork, ...to.split][0] ?? null;
 		}
 		
-		//Adjust spacing for entries that overlap
-		//Accomodates entries that are both the same year
-		//Width needs to be known before nudging, so this has to be separated
-		for (const entry of this._container.querySelectorAll(this._config.entrySelector + '[data-become]')) {
-			if (entry.dataset.start == document.getElementById(entry.dataset.become).dataset.start) {
-				entry.style.left = parseFloat(entry.style.left) - this._config.boxMinWidth/2 + "px";
-				document.getElementById(entry.dataset.become).style.left = parseFloat(document.getElementById(entry.dataset.become).style.left) + this._config.boxMinWidth/2 + "px";
+		const box = this._layout.getBox(id);
+		const date = parseDate(box.start);
+		const step = (direction === "above" ? -1 : 1);
+		let best = null;
+		for (const entry of this._getVisible()) {
+			const other = this._layout.getBox(entry.id);
+			const rows = (other.row - box.row) * step;
+			if (rows <= 0) continue;
+			
+			//Time from the entry's start to the other entry, which is 0 if it is active then
+			const time = Math.max(parseDate(other.start) - date, date - parseDate(other.end), 0);
+			const rank = [(time > 0 ? 1 : 0), rows, time];
+			const i = (best ? rank.findIndex((value, i) => value !== best.rank[i]) : 0);
+			if (!best || (i !== -1 && rank[i] < best.rank[i])) {
+				best = { id: entry.id, rank: rank };
 			}
 		}
+		return (best ? best.id : null);
 	}
 	
 	/**
-	 * Add the date timelines to top and bottom of the diagram
-	 * @protected
+	 * Show only the entries matching a filter. Entries which don't match are either hidden, with the remaining entries
+	 * positioned again so that their rows are reclaimed, or dimmed in place. Connectors to hidden entries are drawn as short dashed stubs.
+	 * The filter replaces any previous one, and is applied again to entries as they are added or changed.
+	 * @param {function|object|null} filter - A function called with each entry's object (as for the 'data' config) and element, which returns whether the entry matches.
+	 * 								Or an object of declarative filters, which must all match: each property is an entry property or data attribute in camel case
+	 * 								(e.g. 'group' for data-group), and the value is a string to equal, an array of strings to equal any of, or a function to test the value.
+	 * 								The special property 'active' is an array of a start and end date, matching entries active at any time between them.
+	 * 								Null to remove the filter.
+	 * @param {string} [mode = "hide"] - What to do with entries which don't match: "hide" or "dim".
+	 * @return {array.<string>} - The IDs of the matching entries
 	 */
-	_addDates() {
-		const tl = document.createElement("div");
-		tl.classList.add("dates");
+	filter(filter, mode = "hide") {
+		if (mode !== "hide" && mode !== "dim") {
+			throw new Error(`Invalid filter mode: ${mode}. Must be "hide" or "dim".`);
+		}
 		
-		let y = this._config.yearStart;
-		while(y < this._config.yearEnd) {
-			const d = document.createElement("date");
-			d.style.left = this._yearToWidth(y) + "px";
-			const t = document.createTextNode(y);
-			d.append(t);
-			tl.append(d);
-			y = y+5;
+		if (filter === null) {
+			this._filter = null;
+		} else if (typeof filter === "function") {
+			this._filter = { test: filter, mode: mode };
+		} else {
+			this._filter = { test: this._makeFilter(filter), mode: mode };
 		}
-		this._container.prepend(tl);
+		this._applyFilter();
+		this._relayout();
 		
-		const tl2 = tl.cloneNode(true);
-		tl2.style.top = (this._config.rows) * this._config.rowHeight + "px";
-		this._container.append(tl2);
+		const excluded = new Set([...this._filtered, ...this._dimmed]);
+		return this._entries.filter(e => !excluded.has(e.id)).map(e => e.id);
 	}
 	
 	/**
-	 * Add striped guides to the diagram.
-	 * @protected
+	 * Trace the lineage of an entry: highlight its ancestors and descendants (all entries reachable from it through
+	 * data-become, data-split, data-merge, data-from and data-fork, in either direction of time) and the connectors between them, dimming everything else.
+	 * The traced entries and connectors have the class "timeline-traced", and the container has the class "timeline-tracing".
+	 * The trace is kept as entries change, until it is cleared or the entry is hidden or removed.
+	 * @param {string|null} id - The ID of the entry, or null to clear the trace
+	 * @param {boolean} [links = false] - Whether to include the entries linked to the lineage (one link away), and their links
+	 * @return {array.<string>} - The IDs of the traced entries
 	 */
-	_addGuides() {
-		let y = this._config.yearStart;
-
-		//Round the end up to the nearest multiple of guideInterval to ensure last guide is placed.
-		while(y < Math.ceil(this._config.yearEnd/this._config.guideInterval)*this._config.guideInterval) {
-			const guide = document.createElement("div");
-			guide.classList.add("guide");
-			guide.style.left = this._yearToWidth(y) + "px";
-			guide.style.width = this._config.yearWidth * this._config.guideInterval + "px";
-			
-			if(((y - this._config.yearStart) / this._config.guideInterval) % 2 == 1) {
-				guide.classList.add("odd");
-			}
-			
-			this._container.append(guide);
-			y = y + this._config.guideInterval;
+	trace(id, links = false) {
+		if (id !== null && !this._getEntry(id)) {
+			throw new Error(`Can't trace entry ${id}: no entry with this ID exists.`);
 		}
+		
+		this._trace = (id === null ? null : { id: id, links: links });
+		const traced = this._applyTrace();
+		this.render();
+		return traced;
 	}
+	
+	/**
+	 * Add a new entry to the diagram.
+	 * Only the rows and connectors affected by the new entry are recalculated.
+	 * @param {object} obj - The entry object (as for the 'data' config)
+	 * @return {HTMLElement|null} - The new entry, or null if it was invalid (in lenient validation mode)
+	 * @throws {TimelineValidationError} In strict validation mode, if the entry is invalid.
+	 * @fires Timeline#timelineWarning
+	 */
+	addEntry(obj) {
+		const entry = this._createEntry(obj);
+		const changed = this._validateEntry(entry);
+		if (changed === null) return null;
 		
-	/** Draw all lines in the timeline between entries.
-	 * @protected
+		this._refresh(changed, () => {
+			this._container.append(entry);
+			this._generated.push(entry);
+			this._entries.push(entry);
+			this._prepareEntry(entry);
+			return [entry];
+		});
+		return entry;
+	}
+	
+	/**
+	 * Update an existing entry.
+	 * The changes are merged with the entry's existing data. Set a property to null to remove it.
+	 * Only the rows and connectors affected by the changes are recalculated.
+	 * @param {string} id - The ID of the entry to update
+	 * @param {object} changes - The properties of the entry object to change (as for the 'data' config). The ID can't be changed.
+	 * @return {boolean} - Whether the update was applied (it is not, if invalid in lenient validation mode)
+	 * @throws {TimelineValidationError} In strict validation mode, if the change is invalid.
+	 * @fires Timeline#timelineWarning
 	 */
-	_draw() {
-		for (const entry of this._entries) {
-			
-			const colour = (entry.dataset.colour ? entry.dataset.colour : this._config.strokeColour);
-			const dasharray = (entry.dataset.irregular == "true" ? this._config.irregularDashes : "");
-			
-			let endMarker = "";
-			let cssClass = "end";
-			let start = this._getJoinCoords(entry, "right");
-			let end = {
-				x: this._yearToWidth(entry.dataset.end),
-				y: start.y
-			};
-			
-			//Ends without joining another entry
-			if (!entry.dataset.hasOwnProperty("merge") &&
-				!entry.dataset.hasOwnProperty("fork") &&
-				!entry.dataset.hasOwnProperty("become")
-			) {
-				endMarker = (entry.dataset.endEstimate ? "dots" : "circle");
-			}
-			
-			if (entry.dataset.hasOwnProperty("become")) { 
-				end = this._getJoinCoords(document.getElementById(entry.dataset.become), 'left');
-				cssClass = "become";
+	updateEntry(id, changes) {
+		const entry = this._getEntry(id);
+		if (!entry) {
+			throw new Error(`Can't update entry ${id}: no entry with this ID exists.`);
+		}
+		
+		const obj = Object.assign({}, this._data.get(id), changes, { id: id });
+		const candidate = this._createEntry(obj);
+		const changed = this._validateEntry(candidate, entry);
+		if (changed === null) return false;
+		
+		this._refresh([entry, ...changed], () => {
+			this._data.set(id, this._readEntryData(candidate));
+			if (changes.hasOwnProperty("name")) {
+				this._setName(entry, changes.name ?? id);
 			}
+			return [];
+		});
+		return true;
+	}
+	
+	/**
+	 * Remove an entry from the diagram.
+	 * Any relations to the entry from other entries are removed with it. A fork left with fewer than two entries is removed,
+	 * with a warning (unless validation is disabled).
+	 * @param {string} id - The ID of the entry to remove
+	 * @fires Timeline#timelineWarning
+	 */
+	removeEntry(id) {
+		const entry = this._getEntry(id);
+		if (!entry) return;
+		
+		const referencing = this._getReferencing([entry]);
+		const problems = [];
+		
+		this._refresh([entry, ...referencing], () => {
+			this._removeConnectors([entry]);
+			this._entries.splice(this._entries.indexOf(entry), 1);
+			this._data.delete(id);
+			entry.remove();
 			
-			if (entry.dataset.hasOwnProperty("merge")) {
-				//Special case of one year length and then merging. We need to bump the merge point forward by 1 year to meet an 'end of year' point. Otherwise, it's indistinguishable from a split.
-				if (entry.dataset.start == entry.dataset.end) {
-					end.x += this._config.yearWidth;
+			for (const other of referencing) {
+				const obj = this._dropRelation(this._data.get(other.id), id);
+				if (this._data.get(other.id).fork && !obj.fork) {
+					problems.push({
+						type: "fork-count",
+						id: other.id,
+						attribute: "data-fork",
+						message: `${other.id} has data-fork with fewer than two IDs after ${id} was removed, so the fork is removed`
+					});
 				}
-				
-				const mergePoint = {
-					x: end.x,
-					y: this._getYCentre(document.getElementById(entry.dataset.merge))
-				}
-				
-				//Merged entry's line ends a bit earlier, so as to go diagonally to meet the other entry at the year mark.
-				end.x = end.x - this._config.yearWidth;
-				const merge = SvgConnector.draw({ start: end, end: mergePoint, stroke: this._config.strokeWidth, colour: colour });
-				merge.classList.add("merge");
-				this._container.append(merge);
-				cssClass = "merge";
-			}
-				
-			//Nothing to draw here if entry starts and ends on the same year
-			if (entry.dataset.start !== entry.dataset.end) {
-				const line = SvgConnector.draw({ start: start, end: end, stroke: this._config.strokeWidth, colour: colour, markers: ["", endMarker], dashes: dasharray });
-				line.classList.add(cssClass);
-				this._container.append(line);
+				this._data.set(other.id, obj);
 			}
-
-			if (entry.dataset.hasOwnProperty("split")) {
-				this._drawSplit(entry, colour);
+			return [];
+		});
+		
+		if (problems.length > 0 && this._config.validation) {
+			this._warn(problems);
+		}
+	}
+	
+	/**
+	 * Remove the diagram, restoring the container and any entries in the HTML to their original state.
+	 * Generated entries are removed. After this, the diagram can be created again.
+	 */
+	destroy() {
+		this._removeConnectors(this._entries);
+		
+		for (const el of [...(this._dateAxes || []), ...(this._guides || []), ...(this._periods || []), ...(this._lanes || []), ...(this._markers || []), ...(this._eventRules || []), ...(this._eventMarkers || []), ...(this._labels || []), ...this._generated]) {
+			el.remove();
+		}
+		this._clearLabelledEntries();
+		if (this._layer) {
+			this._layer.remove();
+			this._layer = null;
+		}
+		if (this._renderer) {
+			this._renderer.destroy();
+			this._renderer = null;
+		}
+		
+		//Entries in the HTML are restored as they were before validation, drawing and any changes, and put back if removed.
+		//They are restored from the last, so each is put back before an entry after it which was also removed.
+		for (const [entry, original] of [...this._originals].reverse()) {
+			for (const name of entry.getAttributeNames()) {
+				entry.removeAttribute(name);
 			}
-			if (entry.dataset.hasOwnProperty("fork")) {
- 				this._drawForks(entry, colour);
+			for (const [name, value] of original.attributes) {
+				entry.setAttribute(name, value);
 			}
-			if (entry.dataset.hasOwnProperty("links")) {
-				this._drawLinks(entry, colour);
+			entry.replaceChildren(...original.children);
+			if (entry.parentNode !== original.parent) {
+				//The next node may have been generated, and removed above
+				original.parent.insertBefore(entry, (original.next?.parentNode === original.parent ? original.next : null));
 			}
 		}
+		
+		this._container.classList.remove("timeline-container", "timeline-vertical", "timeline-canvas", "show-months", "timeline-tracing", "timeline-periods-hidden");
+		this._container.style.removeProperty("width");
+		this._container.style.removeProperty("height");
+		
+		this._entries = [];
+		this._generated = [];
+		this._originals.clear();
+		this._data.clear();
+		this._collapsed.clear();
+		this._filter = null;
+		this._filtered.clear();
+		this._dimmed.clear();
+		this._trace = null;
+		this._markers = null;
+		this._eventRules = null;
+		this._eventMarkers = null;
+		this._labels = null;
+		this._dateAxes = null;
+		this._guides = null;
+		this._periods = null;
+		this._lanes = null;
+		this._scene = null;
+		this._layout = null;
 	}
 	
 	/**
-	 * Draw splits.
+	 * Validate a new or changed entry against the existing entries, according to the 'validation' config.
+	 * In lenient mode, invalid relations are removed from the entry.
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @param {string} colour
+	 * @param {HTMLElement} candidate - The new entry, or a copy of an existing entry with the changes applied
+	 * @param {HTMLElement} [existing] - The existing entry the candidate replaces, if any
+	 * @return {array.<HTMLElement>|null} - Any other entries changed by lenient validation, or null if the candidate should not be used.
+	 * @throws {TimelineValidationError} In strict mode, if any problems are found.
+	 * @fires Timeline#timelineWarning
 	 */
-	_drawSplit(entry, colour) {
-		const source = document.getElementById(entry.dataset.split);
+	_validateEntry(candidate, existing = null) {
+		if (!this._config.validation) return [];
 		
-		let direction = "top";
-		if (parseInt(entry.dataset.row) < parseInt(source.dataset.row)) {
-			direction = "bottom";			
+		//Validate copies made from the original data, as the entries themselves have calculated values added
+		const copies = new Map();
+		for (const entry of this._entries) {
+			copies.set(entry, (entry === existing ? candidate : this._createEntry(this._data.get(entry.id))));
 		}
+		const entries = [...copies.values()];
+		if (!existing) entries.push(candidate);
+		
+		const validator = new DiagramValidator(entries, this._config.yearStart, this._config.yearEnd);
+		const result = validator.validate(this._config.validation);
 		
-		const start = {
-			x: this._yearToWidth(entry.dataset.start),
-			y: this._getYCentre(source)
+		if (result.problems.length === 0) return [];
+		
+		if (this._config.validation === "strict") {
+			throw new TimelineValidationError(result.problems);
 		}
-		const end = this._getJoinCoords(entry, direction);
 		
-		const line = SvgConnector.draw( { start: start, end: end, stroke: this._config.strokeWidth, colour: colour });
+		this._warn(result.problems);
+		
+		if (!result.entries.includes(candidate)) return null;
 		
-		line.classList.add("split");
-		this._container.append(line);
+		//Other entries can be changed too (by breaking a data-become cycle), so keep their data in sync
+		const changed = [];
+		for (const [entry, copy] of copies) {
+			if (copy !== candidate && result.problems.some(p => p.id === entry.id)) {
+				this._data.set(entry.id, this._readEntryData(copy));
+				changed.push(entry);
+			}
+		}
+		return changed;
 	}
 	
 	/**
-	 * Draw forks.
+	 * Update the diagram after a change to some entries.
+	 * Space held by the affected entries (the changed entries, any joined with them via data-become, and any
+	 * whose end is calculated from them) is freed, the change is made, and then the affected entries are positioned again.
+	 * The affected entries, and any connected to them, are then redrawn. If the lanes of groups have changed, everything is redrawn.
+	 * If any entries are collapsed, or a filter is set, the whole diagram is positioned and drawn again instead.
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @param {string} colour
+	 * @param {array.<HTMLElement>} changed - The existing entries which are changing
+	 * @param {function} change - A callback which makes the change, by updating the entries' original data. It must return an array of any entries added.
 	 */
-	_drawForks(entry, colour) {
-		const forks = entry.dataset.fork.split(" ");
-		const forkYear = parseInt(entry.dataset.end);
-
-		const start = {
-			x: this._yearToWidth(forkYear),
-			y: this._getYCentre(entry)
+	_refresh(changed, change) {
+		if (this._collapsed.size > 0 || this._filter) {
+			change();
+			for (const id of [...this._collapsed.keys()]) {
+				if (this._data.has(id)) {
+					this._collapsed.set(id, this._getDescendants(id));
+				} else {
+					this._collapsed.delete(id);
+				}
+			}
+			this._applyFilter();
+			this._relayout();
+			return;
+		}
+		
+		const lanes = JSON.stringify(this._layout.getLanes());
+		const before = this._getAffected(changed);
+		this._layout.clear([...before].map(e => e.id));
+		
+		const added = change();
+		
+		//The resolution is decided when the layout is created, so it is created again if entries now need to be positioned by month
+		const subYear = (obj) => isSubYearDate(obj.start) || isSubYearDate(obj.end);
+		if (this._layout.resolution === 1 && [...changed, ...added].some(e => this._data.has(e.id) && subYear(this._data.get(e.id)))) {
+			this._relayout();
+			return;
 		}
-		const end1 = {
-			x: this._yearToWidth(forkYear+1),
-			y: this._getYCentre(document.getElementById(forks[0]))
+		
+		for (const entry of [...changed, ...added]) {
+			if (this._data.has(entry.id)) {
+				this._layout.setEntry(this._data.get(entry.id));
+			} else {
+				this._layout.removeEntry(entry.id);
+			}
 		}
-		const end2 = {
-			x: this._yearToWidth(forkYear+1),
-			y: this._getYCentre(document.getElementById(forks[1]))
+		
+		const current = changed.filter(e => this._entries.includes(e));
+		for (const entry of current) {
+			this._applyEntryData(entry, this._data.get(entry.id));
 		}
 		
-		const fork1 = SvgConnector.draw({ start: start, end: end1, stroke: this._config.strokeWidth, colour: colour });
-		const fork2 = SvgConnector.draw({ start: start, end: end2, stroke: this._config.strokeWidth, colour: colour });
+		const after = this._getAffected([...current, ...added]);
+		this._layout.clear([...after].filter(e => !before.has(e) && !added.includes(e)).map(e => e.id));
+		
+		//Reset to the original data, so that calculated ends and automatic rows are recalculated
+		const affected = this._entries.filter(e => before.has(e) || after.has(e));
+		for (const entry of affected) {
+			this._applyEntryData(entry, this._data.get(entry.id));
+		}
+		this._layout.place(affected.map(e => e.id));
+		this._setConfigProp("rows", this._layout.rows);
+		this._setSize();
 		
-		fork1.classList.add("fork");
-		fork2.classList.add("fork");
-		this._container.append(fork1, fork2);
+		let redraw = this._getChains([...affected, ...this._getReferencing(affected)]);
+		if (JSON.stringify(this._layout.getLanes()) !== lanes) {
+			redraw = this._entries;
+			this._addLanes();
+		}
+		this._removeConnectors(redraw);
+		for (const entry of redraw) {
+			this._setEntry(entry);
+		}
+		for (const entry of redraw) {
+			this._drawEntry(entry);
+		}
+		this._addEntryEvents();
+		this._addLabels();
+		this._applyTrace();
+		this.render();
 	}
 	
 	/**
-	 * Draw links.
+	 * Get the entries whose position depends on any of the given entries: those joined via data-become, and those whose end is calculated from them
+	 * (forking into them, or which they are founded from).
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @param {string} colour
+	 * @param {array.<HTMLElement>} entries
+	 * @return {Set.<HTMLElement>}
 	 */
-	_drawLinks(entry, colour) {
-		const links = entry.dataset.links.split(" ");
-		
-		//Count links drawn on each side, so additional ones can be offset to avoid overlap.
-		let indices = {
-			top: -1,
-			bottom: -1,
-			left: -1,
-			right: -1
-		}
-		
-		for (const link of links) {
-			const target = document.getElementById(link);
-			if (!target) {
-				console.warn(`${entry.id} links to non-existant ID ${link}`);
-			}
-			
-			let sourceSide, targetSide, start = { x: 0, y: 0}, end = { x: 0, y: 0};
-			
-			const eRow = parseInt(entry.dataset.row);
-			const tRow = parseInt(target.dataset.row);
-			
-			//Find the direction of the link
-			if (eRow === tRow && entry.dataset.start < target.dataset.start) {
-				indices["right"] = indices["right"]+1;
-				sourceSide = "right";
-				targetSide = "left";
-			}
-			if (eRow === tRow && entry.dataset.start > target.dataset.start) {
-				indices["left"] = indices["left"]+1;
-				sourceSide = "left";
-				targetSide = "right";
-			}
-			if (eRow > tRow) {
-				indices["top"] = indices["top"]+1;
-				sourceSide = "top";
-				targetSide = "bottom";
-			}
-			if (eRow < tRow) {
-				indices["bottom"] = indices["bottom"]+1;
-				sourceSide = "bottom";
-				targetSide = "top";
-			}
-			
-			start = this._getJoinCoords(entry, sourceSide, indices[sourceSide]);
-			
-			//Start with vertical line to line case
-			end = {
-				x: start.x,
-				y: this._getYCentre(target)
-			}
-			
-			//If the target doesn't overlap in time with the source (can't be after, as link would be vice versa then)
-			if(entry.dataset.start >= target.dataset.end) {
-				end.x = this._yearToWidth(target.dataset.end);
-			}
-			
-			//If the year is the same, link the entry box, not the line
-			if(entry.dataset.start == target.dataset.start) {
-				end = this._getJoinCoords(target, targetSide);
+	_getAffected(entries) {
+		const ids = entries.map(e => e.id);
+		const founders = entries.flatMap(e => (e.dataset.from ? e.dataset.from.split(" ") : []));
+		const dependants = this._entries.filter(e => {
+			if (this._data.get(e.id).end) return false;
+			return (e.dataset.fork && e.dataset.fork.split(" ").some(id => ids.includes(id))) || founders.includes(e.id);
+		});
+		return new Set(this._getChains([...entries, ...dependants]));
+	}
+	
+	/**
+	 * Get the given entries, along with all entries joined to them in a chain of data-become.
+	 * @protected
+	 * @param {array.<HTMLElement>} entries
+	 * @return {array.<HTMLElement>}
+	 */
+	_getChains(entries) {
+		const chains = new Set();
+		const add = (entry) => {
+			if (!entry || chains.has(entry)) return;
+			chains.add(entry);
+			add(this._getEntry(entry.dataset.become));
+			for (const prev of this._entries.filter(e => e.dataset.become === entry.id)) {
+				add(prev);
 			}
-			
-			const connector = SvgConnector.draw({
-				start: start,
-				end: end,
-				stroke: this._config.strokeWidth/2,
-				colour: colour,
-				markers: ["square", "square"],
-				dashes: this._config.linkDashes
-			});
-			connector.classList.add("link");
-			this._container.append(connector);
 		}
+		entries.forEach(add);
+		return [...chains];
 	}
 	
-	/** Add CSS properties to document root, based on config.
+	/**
+	 * Get the entries which refer to any of the given entries in a relation (data-become, data-split, data-merge, data-from, data-fork or data-links),
+	 * and those the given entries are founded from (in their data-from), as the connectors for that are drawn from them.
 	 * @protected
+	 * @param {array.<HTMLElement>} entries
+	 * @return {array.<HTMLElement>}
 	 */
-	_applyCSSProperties() {
-		const root = document.documentElement;
-		root.style.setProperty('--timeline-year-width', this._config.yearWidth + "px");
-		root.style.setProperty('--timeline-row-height', this._config.rowHeight + "px");
-		root.style.setProperty('--timeline-box-width', this._config.boxWidth + "px");
-		root.style.setProperty('--timeline-box-height', this._config.boxHeight + "px");
-		root.style.setProperty('--timeline-box-width-min', this._config.boxHeight + "px");
-		root.style.setProperty('--timeline-padding', this._config.padding + "px");
-		root.style.setProperty('--timeline-stroke-colour', this._config.strokeColour);
-		
+	_getReferencing(entries) {
+		const ids = entries.map(e => e.id);
+		const founders = entries.flatMap(e => (e.dataset.from ? e.dataset.from.split(" ") : []));
+		return this._entries.filter(e => !entries.includes(e) && (founders.includes(e.id) || this._getRelatedIds(e).some(id => ids.includes(id))));
 	}
 	
 	/**
-	 * Find and return the coordinates where lines should join an element on each side.
-	 * Where multiple lines are meeting an element on one side, specifying the offest number
-	 * allows these to join at different points.
+	 * Get the IDs of all entries an entry refers to in a relation.
 	 * @protected
 	 * @param {HTMLElement} entry
-	 * @param {string} side - Must be "top", "bottom", "left" or "right"
-	 * @param {number} offset - the number of steps to offset the point (use if multiple lines join an entry on the same side).
-	 * @return {object}
+	 * @return {array.<string>}
 	 */
-	_getJoinCoords(entry, side, offset = 0) {
-		
-		const offsetIncrement = 5;
-		
-		const status = window.getComputedStyle(entry);
-		
-		const l = parseFloat(entry.style.left);
-		const t = parseFloat(entry.style.top);
-		const w = parseFloat(status.getPropertyValue('width'));
-		const h = parseFloat(status.getPropertyValue('height'));
-		
-		switch(side) {
-			case 'left':
-				return {
-					x: l,
-					y: t + h/2 + (offset * offsetIncrement)
-				};
-				break;
-			case 'right':
-				return {
-					x: l + w,
-					y: t + h/2 + (offset * offsetIncrement)
-				};
-				break;
-			case 'top':
-				return {
-					x: l + w/2 + (offset * offsetIncrement),
-					y: t
-				};
-				break;
-			case 'bottom':
-				return {
-					x: l + w/2 + (offset * offsetIncrement),
-					y: t + h
-				};
-				break;
-			default:
-				throw `Invalid element side specified: Called with ${side}. Entry: ${entry}`;
-		}
-	}
-	
-	/**
-	 * Return the end date for an entry, whether explicitly set or not.
+	_getRelatedIds(entry) {
+		const ids = [];
+		for (const prop of ["become", "split", "merge", "from", "fork", "links"]) {
+			if (entry.dataset[prop]) {
+				ids.push(...entry.dataset[prop].split(" "));
+			}
+		}
+		return ids;
+	}
+	
+	/**
+	 * Return a copy of an entry object with all relations to the given ID removed.
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @return {number}
+	 * @param {object} obj
+	 * @param {string} id
+	 * @return {object}
 	 */
-	_calcEnd(entry) {
-		if (entry.dataset.end) {
-			return parseInt(entry.dataset.end);
+	_dropRelation(obj, id) {
+		const result = Object.assign({}, obj);
+		for (const prop of ["become", "split"]) {
+			if (result[prop] === id) delete result[prop];
 		}
-		
-		if (entry.dataset.become) {
-			return parseInt(document.getElementById(entry.dataset.become).dataset.start);
+		//A fork needs at least two entries, so is removed entirely if fewer are left
+		if (result.fork) {
+			const forks = result.fork.split(" ").filter(other => other !== id);
+			if (forks.length >= 2) {
+				result.fork = forks.join(" ");
+			} else {
+				delete result.fork;
+			}
 		}
-		
-		if (entry.dataset.fork && !entry.dataset.end) {
-			const forks = entry.dataset.fork.split(" ");
-			const f1 = document.getElementById(forks[0]);
-			const f2 = document.getElementById(forks[1]);
-			return parseInt(Math.max(f1.dataset.start, f2.dataset.start));
+		for (const prop of ["merge", "from", "links"]) {
+			if (!result[prop]) continue;
+			const ids = result[prop].split(" ").filter(other => other !== id);
+			if (ids.length > 0) {
+				result[prop] = ids.join(" ");
+			} else {
+				delete result[prop];
+			}
 		}
-		
-		return parseInt(this._config.yearEnd);
+		return result;
 	}
-
+	
 	/**
-	 * Check if an entry should be small on the graph (too brief to fit full box size)
+	 * Get the IDs of the descendants of an entry: those reachable from it via data-become, data-fork, and data-split (from it).
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @return {boolean}
+	 * @param {string} id
+	 * @return {Set.<string>}
 	 */
-	_checkSmallEntry(entry) {
-		const start = entry.dataset.start;
-		const end = entry.dataset.end;
-		
-		if ((end - start) < (this._config.boxWidth/this._config.yearWidth)) {
-			return true;
-		} else {
-			return false;
+	_getDescendants(id) {
+		const found = new Set();
+		const queue = [id];
+		while (queue.length > 0) {
+			const current = queue.shift();
+			const obj = this._data.get(current);
+			const next = [];
+			if (obj.become) next.push(obj.become);
+			if (obj.fork) next.push(...obj.fork.split(" "));
+			for (const [other, otherObj] of this._data) {
+				if (otherObj.split === current) next.push(other);
+			}
+			
+			for (const other of next) {
+				if (other !== id && !found.has(other) && this._data.has(other)) {
+					found.add(other);
+					queue.push(other);
+				}
+			}
 		}
+		return found;
 	}
 	
 	/**
-	 * Get the X-axis centre of an entry box.
+	 * Make a filter function from an object of declarative filters (see filter()).
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @return {number}
+	 * @param {object} filters
+	 * @return {function}
 	 */
-	_getXCentre(entry) {
-		return parseFloat(entry.style.left) + (this._config.boxWidth/2);
+	_makeFilter(filters) {
+		const tests = Object.entries(filters).map(([prop, expected]) => {
+			if (prop === "active") {
+				const from = parseDate(expected[0]);
+				const to = parseDate(expected[1]);
+				return (obj) => parseDate(obj.start) <= to && parseDate(this._calcEnd(obj)) >= from;
+			}
+			
+			let test;
+			if (typeof expected === "function") {
+				test = expected;
+			} else if (Array.isArray(expected)) {
+				test = (value) => expected.some(e => String(e) === value);
+			} else {
+				test = (value) => String(expected) === value;
+			}
+			return (obj, entry) => {
+				const value = (entryProperties.includes(prop) ? obj[prop] : entry.dataset[prop]);
+				return value !== undefined && value !== null && test(String(value));
+			};
+		});
+		return (obj, entry) => tests.every(test => test(obj, entry));
 	}
 	
 	/**
-	 * Get the Y-axis centre of an entry box.
+	 * Find the entries which don't match the filter, if any, and record them as either filtered out (hidden) or dimmed.
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @return {number}
 	 */
-	_getYCentre(entry) {
-		return parseFloat(entry.style.top) + (this._config.boxHeight/2);
+	_applyFilter() {
+		this._filtered.clear();
+		this._dimmed.clear();
+		if (!this._filter) return;
+		
+		const excluded = (this._filter.mode === "dim" ? this._dimmed : this._filtered);
+		for (const entry of this._entries) {
+			if (!this._filter.test(Object.assign({ id: entry.id }, this._data.get(entry.id)), entry)) {
+				excluded.add(entry.id);
+			}
+		}
 	}
 	
 	/**
-	 * Get the width in px of the diagram at the point sepecified by a particular year.
-	 * @param {number} year
+	 * Get the relations between each shown entry and the others (see getRelations()).
 	 * @protected
-	 * @return {number}
+	 * @return {Map.<string, object>}
 	 */
-	_yearToWidth(year) {
-		return parseInt((year - this._config.yearStart) * this._config.yearWidth);
+	_getRelationMap() {
+		const props = ["become", "split", "merge", "fork", "links"];
+		const visible = this._getVisible();
+		const empty = () => Object.fromEntries(props.map(prop => [prop, []]));
+		const relations = new Map();
+		for (const entry of visible) {
+			relations.set(entry.id, { to: empty(), from: empty() });
+		}
+		
+		for (const entry of visible) {
+			const obj = this._data.get(entry.id);
+			for (const prop of props) {
+				for (const other of (obj[prop] ? obj[prop].split(" ") : [])) {
+					if (!relations.has(other)) continue;
+					relations.get(entry.id).to[prop].push(other);
+					relations.get(other).from[prop].push(entry.id);
+				}
+			}
+			//Being founded from other entries is the same as them merging into it
+			for (const other of (obj.from ? obj.from.split(" ") : [])) {
+				if (!relations.has(other) || relations.get(other).to.merge.includes(entry.id)) continue;
+				relations.get(other).to.merge.push(entry.id);
+				relations.get(entry.id).from.merge.push(other);
+			}
+		}
+		return relations;
 	}
+	
+	/**
+	 * Get the lineage of a shown entry: the entry, and its shown ancestors and descendants, through data-become, data-split, data-merge, data-from and data-fork.
+	 * @protected
+	 * @param {string} id
+	 * @param {Map} relations - The relations of the shown entries, from _getRelationMap()
+	 * @return {Set.<string>}
+	 */
+	_getLineage(id, relations) {
+		const walk = (next) => {
+			const found = new Set([id]);
+			const queue = [id];
+			while (queue.length > 0) {
+				for (const other of next(relations.get(queue.shift()))) {
+					if (!found.has(other)) {
+						found.add(other);
+						queue.push(other);
+					}
+				}
+			}
+			return found;
+		};
+		const ancestors = walk(({to, from}) => [...from.become, ...to.split, ...from.merge, ...from.fork]);
+		const descendants = walk(({to, from}) => [...to.become, ...from.split, ...to.merge, ...to.fork]);
+		return new Set([...ancestors, ...descendants]);
+	}
+	
+	/**
+	 * Apply the trace (see trace()) to the entries and connectors, after it is changed or they are drawn again.
+	 * The trace is cleared if its entry is no longer shown.
+	 * @protected
+	 * @return {array.<string>} - The IDs of the traced entries
+	 */
+	_applyTrace() {
+		if (this._trace && (!this._data.has(this._trace.id) || this._getHidden().has(this._trace.id))) {
+			this._trace = null;
+		}
+		
+		let lineage = new Set();
+		let traced = new Set();
+		if (this._trace) {
+			const relations = this._getRelationMap();
+			lineage = this._getLineage(this._trace.id, relations);
+			traced = new Set(lineage);
+			if (this._trace.links) {
+				for (const id of lineage) {
+					const {to, from} = relations.get(id);
+					[...to.links, ...from.links].forEach(other => traced.add(other));
+				}
+			}
+		}
+		
+		//Connectors to entries outside the lineage are only traced if they are links (or stubs, in place of any relation)
+		const isTraced = (type, source, target) => {
+			if (type === "stub" || (type === "link" && this._trace.links)) {
+				return lineage.has(source) || lineage.has(target);
+			}
+			return lineage.has(source) && (target === null || lineage.has(target));
+		};
+		
+		this._container.classList.toggle("timeline-tracing", this._trace !== null);
+		for (const entry of this._entries) {
+			entry.classList.toggle("timeline-traced", traced.has(entry.id));
+		}
+		for (const el of [...(this._eventMarkers || []), ...(this._labels || [])]) {
+			el.classList.toggle("timeline-traced", traced.has(el.dataset.entry));
+		}
+		for (const label of this._scene.labels) {
+			label.traced = traced.has(label.entry);
+		}
+		if (this._renderer) {
+			this._renderer.setTrace(this._trace ? (settings) => isTraced(settings.type, settings.source, settings.target) : null);
+		} else {
+			for (const connector of this._container.querySelectorAll("svg[data-source], g[data-source]")) {
+				const type = (connector.classList.contains("link") ? "link" : (connector.classList.contains("stub") ? "stub" : ""));
+				connector.classList.toggle("timeline-traced", this._trace !== null && isTraced(type, connector.dataset.source, connector.dataset.target || null));
+			}
+		}
+		return [...traced];
+	}
+	
+	/**
+	 * Get the IDs of all hidden entries: those hidden by collapsed entries, and those filtered out.
+	 * @protected
+	 * @return {Set.<string>}
+	 */
+	_getHidden() {
+		const hidden = new Set(this._filtered);
+		for (const ids of this._collapsed.values()) {
+			ids.forEach(id => hidden.add(id));
+		}
+		return hidden;
+	}
+	
+	/**
+	 * Get the entries which aren't hidden by collapsed entries or filtered out.
+	 * @protected
+	 * @return {array.<HTMLElement>}
+	 */
+	_getVisible() {
+		if (this._collapsed.size === 0 && this._filtered.size === 0) return this._entries;
+		const hidden = this._getHidden();
+		return this._entries.filter(e => !hidden.has(e.id));
+	}
+	
+	/**
+	 * Get the end date of an entry from its original data, calculated if it isn't set (as in DiagramLayout).
+	 * Relations to IDs which don't exist are ignored, as they are in the layout.
+	 * @protected
+	 * @param {object} obj - The entry object
+	 * @return {number|string}
+	 */
+	_calcEnd(obj) {
+		if (obj.end) {
+			return obj.end;
+		}
+		if (obj.become && this._data.has(obj.become)) {
+			return this._data.get(obj.become).start;
+		}
+		const forks = (obj.fork ? obj.fork.split(" ").filter(id => this._data.has(id)) : []);
+		if (forks.length > 0) {
+			const starts = forks.map(id => this._data.get(id).start);
+			return starts.reduce((a, b) => (parseDate(b) > parseDate(a) ? b : a));
+		}
+		const founded = this._getFounded(obj.id);
+		if (founded.length > 0) {
+			const starts = founded.map(id => this._data.get(id).start);
+			return starts.reduce((a, b) => (parseDate(b) < parseDate(a) ? b : a));
+		}
+		return this._config.yearEnd;
+	}
+	
+	/**
+	 * Get the IDs of the entries founded from an entry (with it in their data-from).
+	 * @protected
+	 * @param {string} id
+	 * @return {array.<string>}
+	 */
+	_getFounded(id) {
+		const founded = [];
+		for (const [other, obj] of this._data) {
+			if (obj.from && obj.from.split(" ").includes(id)) {
+				founded.push(other);
+			}
+		}
+		return founded;
+	}
+	
+	/**
+	 * Get the data of a visible entry to lay out, without its relations to hidden entries.
+	 * If its end was calculated from a hidden entry, it is kept. Any stubs for its relations to filtered out entries are added.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @param {Set.<string>} hidden - The IDs of hidden entries
+	 * @param {Map.<string, array.<object>>} stubs - The stubs for each entry (see _getStubs())
+	 * @return {object}
+	 */
+	_getVisibleData(entry, hidden, stubs) {
+		let obj = this._data.get(entry.id);
+		const related = this._getRelatedIds(entry).filter(id => hidden.has(id));
+		const founded = this._getFounded(entry.id).filter(id => hidden.has(id));
+		if (related.length === 0 && founded.length === 0 && !stubs.has(entry.id)) return obj;
+		
+		let end = obj.end;
+		if (!end && (((obj.become || obj.fork) && related.length > 0) || founded.length > 0)) {
+			end = this._calcEnd(obj);
+		}
+		
+		obj = Object.assign({}, obj);
+		for (const id of related) {
+			obj = this._dropRelation(obj, id);
+		}
+		if (end) {
+			obj.end = end;
+		}
+		if (stubs.has(entry.id)) {
+			obj.stubs = stubs.get(entry.id);
+		}
+		return obj;
+	}
+	
+	/**
+	 * Get the stubs to draw in place of the connectors between visible and filtered out entries (see DiagramLayout#_addStubs()).
+	 * Each is added to the visible entry: relations which start its line (e.g. a split from a filtered out entry) come in to it,
+	 * and others leave it, at the end of its line or the date of the split or link.
+	 * @protected
+	 * @param {Set.<string>} hidden - The IDs of hidden entries
+	 * @return {Map.<string, array.<object>>} - The stubs for each visible entry with any
+	 */
+	_getStubs(hidden) {
+		const stubs = new Map();
+		const add = (id, stub) => {
+			if (hidden.has(id)) return;
+			if (!stubs.has(id)) {
+				stubs.set(id, []);
+			}
+			stub.title = `${this._getEntry(stub.id).textContent.trim()} (filtered out)`;
+			stubs.get(id).push(stub);
+		}
+		const related = (obj, type) => (obj[type] ? obj[type].split(" ") : []).filter(id => this._filtered.has(id));
+		
+		for (const [id, obj] of this._data) {
+			if (hidden.has(id) && !this._filtered.has(id)) continue;
+			
+			if (!this._filtered.has(id)) {
+				//Relations to filtered out entries
+				for (const other of related(obj, "split")) {
+					add(id, { id: other, type: "split", date: obj.start, incoming: true });
+				}
+				for (const other of related(obj, "links")) {
+					add(id, { id: other, type: "link", date: obj.start, incoming: false });
+				}
+				for (const other of related(obj, "from")) {
+					add(id, { id: other, type: "merge", date: obj.start, incoming: true });
+				}
+				for (const type of ["become", "merge", "fork"]) {
+					for (const other of related(obj, type)) {
+						add(id, { id: other, type: type, incoming: false });
+					}
+				}
+				continue;
+			}
+			
+			//Relations from a filtered out entry, to those which exist
+			const start = (other) => this._data.get(other).start;
+			const existing = (type) => (obj[type] ? obj[type].split(" ") : []).filter(other => this._data.has(other));
+			for (const other of existing("become")) {
+				add(other, { id: id, type: "become", date: start(other), incoming: true });
+			}
+			for (const other of existing("split")) {
+				add(other, { id: id, type: "split", date: obj.start, incoming: false });
+			}
+			for (const other of existing("merge")) {
+				add(other, { id: id, type: "merge", date: this._calcEnd(obj), incoming: true });
+			}
+			for (const other of existing("from")) {
+				add(other, { id: id, type: "merge", incoming: false });
+			}
+			for (const other of existing("fork")) {
+				add(other, { id: id, type: "fork", date: start(other), incoming: true });
+			}
+			for (const other of existing("links")) {
+				add(other, { id: id, type: "link", date: start(other), incoming: true });
+			}
+		}
+		return stubs;
+	}
+	
+	/**
+	 * Position and draw all visible entries again, e.g. after entries are collapsed or expanded, or the filter is changed.
+	 * Hidden entries, and their connectors, are removed from the diagram.
+	 * @protected
+	 */
+	_relayout() {
+		const hidden = this._getHidden();
+		this._removeConnectors(this._entries);
+		for (const entry of this._entries) {
+			entry.hidden = hidden.has(entry.id);
+			entry.classList.toggle("timeline-dimmed", this._dimmed.has(entry.id));
+			this._applyEntryData(entry, this._data.get(entry.id));
+		}
+		
+		const stubs = this._getStubs(hidden);
+		const visible = this._getVisible();
+		this._layout = new DiagramLayout(visible.map(e => this._getVisibleData(e, hidden, stubs)), this._config);
+		this._setConfigProp("resolution", Math.max(this._config.resolution, this._layout.resolution));
+		this._addMonthMarks();
+		this._setConfigProp("rows", this._layout.rows);
+		this._setSize();
+		this._addLanes();
+		
+		for (const entry of visible) {
+			this._setEntry(entry);
+		}
+		for (const entry of visible) {
+			this._drawEntry(entry);
+		}
+		this._addCollapseMarkers();
+		this._addEntryEvents();
+		this._addLabels();
+		this._applyTrace();
+		this.render();
+	}
+	
+	/**
+	 * Add a marker after each visible collapsed entry, showing how many entries it hides, which expands it when clicked.
+	 * Any existing markers are replaced.
+	 * @protected
+	 */
+	_addCollapseMarkers() {
+		for (const el of (this._markers || [])) {
+			el.remove();
+		}
+		this._markers = [];
+		
+		const hidden = this._getHidden();
+		for (const entry of this._entries) {
+			entry.classList.toggle("collapsed", this._collapsed.has(entry.id) && !hidden.has(entry.id));
+		}
+		
+		for (const [id, descendants] of this._collapsed) {
+			if (hidden.has(id)) continue;
+			
+			const box = this._layout.getBox(id);
+			const marker = document.createElement("button");
+			marker.type = "button";
+			marker.classList.add("timeline-collapsed-marker");
+			marker.dataset.entry = id;
+			marker.title = `${descendants.size} hidden: click to expand`;
+			marker.append(document.createTextNode(`+${descendants.size}`));
+			if (this._config.orientation === "vertical") {
+				marker.style.left = box.x + "px";
+				marker.style.top = box.y + box.h + "px";
+			} else {
+				marker.style.left = box.x + box.w + "px";
+				marker.style.top = box.y + "px";
+			}
+			marker.addEventListener("click", (e) => {
+				e.stopPropagation();
+				this.expand(id);
+			});
+			
+			this._markers.push(marker);
+			this._container.append(marker);
+		}
+	}
+	
+	/**
+	 * Remove the connectors drawn from the given entries.
+	 * @protected
+	 * @param {array.<HTMLElement>} entries
+	 */
+	_removeConnectors(entries) {
+		const ids = entries.map(e => e.id);
+		if (this._renderer) {
+			this._renderer.removeConnectors(ids);
+			return;
+		}
+		if (this._layer) {
+			for (const id of ids) {
+				if (this._entryGroups.has(id)) {
+					this._entryGroups.get(id).remove();
+					this._entryGroups.delete(id);
+				}
+			}
+			return;
+		}
+		for (const connector of this._container.querySelectorAll(":scope > svg")) {
+			if (ids.includes(connector.dataset.entry)) {
+				connector.remove();
+			}
+		}
+	}
+	
+	/**
+	 * Get an entry in the diagram by its ID.
+	 * @protected
+	 * @param {string} id
+	 * @return {HTMLElement|undefined}
+	 */
+	_getEntry(id) {
+		return this._entries.find(e => e.id === id);
+	}
+	
+	/**
+	 * Generate entry elements from an array of entry objects and add them to the container.
+	 * @protected
+	 * @param {array.<object>} data
+	 */
+	_addEntries(data) {
+		const fragment = document.createDocumentFragment();
+		for (const obj of data) {
+			const entry = this._createEntry(obj);
+			this._generated.push(entry);
+			fragment.append(entry);
+		}
+		this._container.append(fragment);
+	}
+	
+	/**
+	 * Create an entry element from an entry object.
+	 * The object's properties correspond to the entry data attributes, in camel case (e.g. 'endEstimate' for 'data-end-estimate').
+	 * Properties which take a list of IDs ('merge', 'from', 'fork' and 'links') can be either an array or a space-separated string,
+	 * 'aliases' either an array or a comma-separated string, and 'events' either an array or a JSON string.
+	 * @protected
+	 * @param {object} obj
+	 * @param {string} obj.id - the unique ID of the entry
+	 * @param {string} [obj.name] - the name of the entry, used as its text content (defaults to the ID)
+	 * @param {number} obj.start - the start year
+	 * @param {number} [obj.end]
+	 * @param {number} [obj.row]
+	 * @param {string} [obj.become]
+	 * @param {string} [obj.split]
+	 * @param {array.<string>|string} [obj.merge]
+	 * @param {array.<string>|string} [obj.from]
+	 * @param {array.<string>|string} [obj.fork]
+	 * @param {array.<string>|string} [obj.links]
+	 * @param {string} [obj.colour]
+	 * @param {boolean} [obj.irregular]
+	 * @param {boolean} [obj.endEstimate]
+	 * @param {string} [obj.connectorStyle]
+	 * @param {string} [obj.group]
+	 * @param {array.<string>|string} [obj.aliases]
+	 * @param {array.<object>|string} [obj.events]
+	 * @param {string} [obj.description]
+	 * @return {HTMLElement}
+	 */
+	_createEntry(obj) {
+		if (!obj.id) {
+			throw new Error(`Entry objects must have an ID. Called with: ${JSON.stringify(obj)}`);
+		}
+		
+		const entry = document.createElement("div");
+		entry.id = obj.id;
+		entry.append(document.createTextNode(obj.name ?? obj.id));
+		this._applyEntryData(entry, obj);
+		return entry;
+	}
+	
+	/**
+	 * Change the name of an entry, replacing its text but keeping any elements in it, such as a <template> with its description.
+	 * The text is replaced with a new node, so the original can be put back by destroy().
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @param {string} name
+	 */
+	_setName(entry, name) {
+		const texts = [...entry.childNodes].filter(node => node.nodeType === Node.TEXT_NODE);
+		const text = document.createTextNode(name);
+		if (texts.length > 0) {
+			texts[0].replaceWith(text);
+			texts.slice(1).forEach(node => node.remove());
+		} else {
+			entry.prepend(text);
+		}
+	}
+	
+	/**
+	 * Set the data attributes of an entry element from an entry object.
+	 * Any entry data attribute not set in the object is removed.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @param {object} obj
+	 */
+	_applyEntryData(entry, obj) {
+		for (const prop of entryProperties) {
+			let value = obj[prop];
+			if (value === undefined || value === null || value === false) {
+				delete entry.dataset[prop];
+				continue;
+			}
+			if (prop === "events" && typeof value !== "string") {
+				value = JSON.stringify(value);
+			} else if (Array.isArray(value)) {
+				value = value.join(prop === "aliases" ? ", " : " ");
+			}
+			entry.dataset[prop] = value;
+		}
+	}
+	
+	/**
+	 * Read an entry object from the data attributes of an entry element.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @return {object}
+	 */
+	_readEntryData(entry) {
+		const obj = { id: entry.id };
+		for (const prop of entryProperties) {
+			if (entry.dataset.hasOwnProperty(prop)) {
+				obj[prop] = entry.dataset[prop];
+			}
+		}
+		return obj;
+	}
+	
+	/**
+	 * Keep the original state of the entries in the HTML, before validation changes them, to restore them when the diagram is destroyed:
+	 * their attributes, their child nodes (the name and any description), and their place in the document.
+	 * @protected
+	 */
+	_saveOriginals() {
+		for (const entry of this._entries) {
+			if (!this._generated.includes(entry)) {
+				this._originals.set(entry, {
+					attributes: entry.getAttributeNames().map(name => [name, entry.getAttribute(name)]),
+					children: [...entry.childNodes],
+					parent: entry.parentNode,
+					next: entry.nextSibling
+				});
+			}
+		}
+	}
+	
+	/**
+	 * Validate the entries according to the 'validation' config.
+	 * In lenient mode, invalid entries are hidden and removed from the diagram, and invalid relations are removed from entries.
+	 * @protected
+	 * @throws {TimelineValidationError} In strict mode, if any problems are found.
+	 * @fires Timeline#timelineWarning
+	 */
+	_validate() {
+		if (!this._config.validation) return;
+		
+		const validator = new DiagramValidator(this._entries, this._config.yearStart, this._config.yearEnd);
+		const result = validator.validate(this._config.validation);
+		
+		if (result.problems.length === 0) return;
+		
+		if (this._config.validation === "strict") {
+			throw new TimelineValidationError(result.problems);
+		}
+		
+		for (const entry of this._entries) {
+			if (!result.entries.includes(entry)) {
+				entry.hidden = true;
+			}
+		}
+		this._entries = result.entries;
+		
+		this._warn(result.problems);
+	}
+	
+	/**
+	 * Report problems found by validation in a timelineWarning event.
+	 * Unless a listener calls preventDefault() on the event, each problem is also logged in the console, so it isn't missed.
+	 * @protected
+	 * @param {array.<object>} problems
+	 * @fires Timeline#timelineWarning
+	 */
+	_warn(problems) {
+		const warning = new CustomEvent('timelineWarning', { detail: { problems: problems }, cancelable: true });
+		if (this._container.dispatchEvent(warning)) {
+			for (const problem of problems) {
+				console.warn(problem.message);
+			}
+		}
+	}
+	
+	/** Setup necessary CSS classes and data for entries.
+	 * @protected
+	 */
+	_setup() {
+		this._prepareEntries();
+		
+		//Set up container
+		this._container.classList.add("timeline-container");
+		if (this._config.orientation === "vertical") {
+			this._container.classList.add("timeline-vertical");
+		}
+		//The parts of the diagram other than entries and connectors, as data, which are drawn from it by the renderer (see _addDates() etc.)
+		this._scene = { dates: [], guides: [], periods: [], lanes: [], labels: [] };
+		if (this._config.renderer === "canvas") {
+			this._container.classList.add("timeline-canvas");
+			this._renderer = new CanvasRenderer(this._container, this._config, this._scene);
+		} else if (this._config.sharedSvg === true) {
+			this._addConnectorLayer();
+		}
+		this._setSize();
+		this._setEntries();
+	}
+	
+	/**
+	 * Add the single SVG element which all connectors are drawn in, if the sharedSvg config is set.
+	 * Connectors are grouped by the entry they are drawn from.
+	 * @protected
+	 */
+	_addConnectorLayer() {
+		this._layer = document.createElementNS(svgns, "svg");
+		this._layer.classList.add("timeline-connectors");
+		this._entryGroups = new Map();
+		this._container.append(this._layer);
+	}
+	
+	/**
+	 * Get the group in the connector layer for an entry, creating it if needed.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @return {object}
+	 */
+	_getEntryGroup(entry) {
+		if (!this._entryGroups.has(entry.id)) {
+			const g = document.createElementNS(svgns, "g");
+			g.dataset.entry = entry.id;
+			this._entryGroups.set(entry.id, g);
+			this._layer.append(g);
+		}
+		return this._entryGroups.get(entry.id);
+	}
+	
+	/**
+	 * Set the size of the container according to the number of rows, and position the end date axis (if added).
+	 * @protected
+	 */
+	_setSize() {
+		this._container.style[this._axis.crossSize] = (this._config.rows + 2) * this._config.rowHeight + "px"; //Add 2 rows to total for top and bottom space
+ 		this._container.style[this._axis.timeSize] = (this._config.yearEnd + 1 - this._config.yearStart) * this._config.yearWidth + "px"; //Add 1 year for padding
+		
+		if (this._layer) {
+			this._layer.setAttribute("width", parseFloat(this._container.style.width));
+			this._layer.setAttribute("height", parseFloat(this._container.style.height));
+		}
+		
+		if (this._dateAxes) {
+			const tl2 = this._dateAxes[1];
+			if (this._config.orientation === "vertical") {
+				//The date axes are positioned absolutely in vertical mode, so this is the full offset to the last column
+				tl2.style.left = (this._config.rows + 1) * this._config.rowHeight + "px";
+			} else {
+				tl2.style.top = (this._config.rows) * this._config.rowHeight + "px";
+			}
+		}
+	}
+	
+	/** Prepare all entries with initial classes and data, and calculate the layout.
+	 * @protected
+	 */
+	_prepareEntries() {
+		for (const entry of this._entries) {
+			this._prepareEntry(entry);
+		}
+		this._layout = new DiagramLayout(this._entries.map(e => this._data.get(e.id)), this._config);
+		this._setConfigProp("resolution", this._layout.resolution);
+		this._setConfigProp("rows", this._layout.rows);
+	}
+	
+	/**
+	 * Prepare a single entry, keeping a copy of its original data (before calculated values are added) for later updates.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 */
+	_prepareEntry(entry) {
+		this._data.set(entry.id, this._readEntryData(entry));
+		entry.classList.add("entry");
+	}
+	
+	/**
+	 * Position all entries according to the layout
+	 * @protected
+	 */
+	_setEntries() {
+		for (const entry of this._entries) {
+			this._setEntry(entry);
+		}
+	}
+	
+	/**
+	 * Position a single entry according to the layout, and add its calculated row and end date to its data attributes.
+	 * Entries drawn on a canvas aren't shown, so only their data is set.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 */
+	_setEntry(entry) {
+		const box = this._layout.getBox(entry.id);
+		entry.dataset.row = box.row;
+		entry.dataset.end = box.end;
+		
+		//Style short entries (lasting less time than the box size)
+		entry.classList.toggle("min", box.min);
+		if (this._renderer) return;
+		
+		entry.style.left = box.x + "px";
+		entry.style.top = box.y + "px";
+		entry.style.borderColor = (entry.dataset.colour ? entry.dataset.colour : "");
+	}
+	
+	/**
+	 * Get the shown entries with the boxes they are drawn in, for drawing them without their elements (see CanvasRenderer and SvgExporter).
+	 * @protected
+	 * @return {array.<object>} - Each with the entry's 'element', and its 'box' from the layout
+	 */
+	_getEntryBoxes() {
+		return this._getVisible().map(entry => ({ element: entry, box: this._layout.getBox(entry.id) }));
+	}
+	
+	/**
+	 * Add the date timelines to top and bottom of the diagram.
+	 * Each mark is added to the scene, with its position ('pos') along the time axis, 'label', and whether it is for a 'month'.
+	 * @protected
+	 */
+	_addDates() {
+		this._scene.dates = [];
+		for (let y = this._config.yearStart; y < this._config.yearEnd; y += 5) {
+			this._scene.dates.push({ pos: this._layout.yearToWidth(y), label: String(y), month: false });
+		}
+		
+		if (!this._renderer) {
+			const tl = document.createElement("div");
+			tl.classList.add("dates");
+			for (const mark of this._scene.dates) {
+				tl.append(this._createDateMark(mark));
+			}
+			this._container.prepend(tl);
+			
+			const tl2 = tl.cloneNode(true);
+			this._container.append(tl2);
+			this._dateAxes = [tl, tl2];
+		}
+		this._addMonthMarks();
+		this._setSize();
+	}
+	
+	/**
+	 * Add month marks to the date axes, if entries are positioned by month and they haven't been added already.
+	 * They are shown when zoomed in far enough (see setScale()).
+	 * @protected
+	 */
+	_addMonthMarks() {
+		if (this._config.resolution === 1 || this._scene.dates.some(mark => mark.month)) return;
+		
+		const marks = [];
+		for (let year = this._config.yearStart; year < this._config.yearEnd; year++) {
+			for (let m = 1; m < 12; m++) {
+				marks.push({
+					pos: this._layout.yearToWidth(year + m/12),
+					label: monthLabels[m],
+					month: true,
+					title: `${year}-${String(m+1).padStart(2, "0")}`
+				});
+			}
+		}
+		this._scene.dates.push(...marks);
+		for (const axis of (this._dateAxes || [])) {
+			for (const mark of marks) {
+				axis.append(this._createDateMark(mark));
+			}
+		}
+	}
+	
+	/**
+	 * Create the element for a mark on a date axis.
+	 * @protected
+	 * @param {object} mark - From the scene's dates (see _addDates())
+	 * @return {HTMLElement}
+	 */
+	_createDateMark(mark) {
+		const d = document.createElement("date");
+		if (mark.month) {
+			d.classList.add("month");
+		}
+		d.style[this._axis.time] = mark.pos + "px";
+		if (mark.title) {
+			d.title = mark.title;
+		}
+		d.append(document.createTextNode(mark.label));
+		return d;
+	}
+	
+	/**
+	 * Update the diagram for the scale it is displayed at (e.g. when zoomed with panzoom).
+	 * Month marks on the date axis are shown when there is enough space for them.
+	 * @param {number} scale
+	 */
+	setScale(scale) {
+		const monthWidth = this._config.yearWidth * scale / 12;
+		this._container.classList.toggle("show-months", monthWidth >= minMonthWidth);
+		this.render();
+	}
+	
+	/**
+	 * Add striped guides to the diagram.
+	 * Each is added to the scene, with its position ('pos') and length ('size') along the time axis, and whether it is 'odd'.
+	 * @protected
+	 */
+	_addGuides() {
+		let y = this._config.yearStart;
+		this._guides = [];
+		this._scene.guides = [];
+
+		//Round the end up to the nearest multiple of guideInterval to ensure last guide is placed.
+		while(y < Math.ceil(this._config.yearEnd/this._config.guideInterval)*this._config.guideInterval) {
+			this._scene.guides.push({
+				pos: this._layout.yearToWidth(y),
+				size: this._config.yearWidth * this._config.guideInterval,
+				odd: (((y - this._config.yearStart) / this._config.guideInterval) % 2 == 1)
+			});
+			y = y + this._config.guideInterval;
+		}
+		if (this._renderer) return;
+		
+		for (const item of this._scene.guides) {
+			const guide = document.createElement("div");
+			guide.classList.add("guide");
+			guide.style[this._axis.time] = item.pos + "px";
+			guide.style[this._axis.timeSize] = item.size + "px";
+			if (item.odd) {
+				guide.classList.add("odd");
+			}
+			this._guides.push(guide);
+			this._container.append(guide);
+		}
+	}
+		
+	/**
+	 * Add a shaded band behind the diagram for each period in the 'periods' config, from its start to its end.
+	 * Each is labelled in the date axes, and has its label in data-label. Periods without a label, or valid dates in the timeline, are skipped.
+	 * The periods are added to the scene (see getPeriods()).
+	 * @protected
+	 */
+	_addPeriods() {
+		this._periods = [];
+		this._scene.periods = [];
+		
+		for (const period of (this._config.periods || [])) {
+			const start = parseDate(period.start);
+			const end = parseDate(period.end);
+			if (!period.label || isNaN(start) || isNaN(end) || end < start || start < this._config.yearStart || end > this._config.yearEnd) continue;
+			
+			const pos = this._layout.yearToWidth(period.start);
+			this._scene.periods.push({
+				label: period.label,
+				start: period.start,
+				end: period.end,
+				colour: period.colour || "",
+				pos: pos,
+				size: this._layout.yearToWidth(period.end) - pos
+			});
+		}
+		if (this._renderer) return;
+		
+		for (const period of this._scene.periods) {
+			const band = document.createElement("div");
+			band.classList.add("timeline-period");
+			band.dataset.label = period.label;
+			band.style[this._axis.time] = period.pos + "px";
+			band.style[this._axis.timeSize] = period.size + "px";
+			if (period.colour) {
+				band.dataset.colour = period.colour;
+				band.style.setProperty("--timeline-period-colour", period.colour);
+			}
+			this._periods.push(band);
+			this._container.append(band);
+			
+			for (const axis of (this._dateAxes || [])) {
+				const label = document.createElement("span");
+				label.classList.add("timeline-period-label");
+				label.title = `${period.label} (${period.start} - ${period.end})`;
+				label.style[this._axis.time] = band.style[this._axis.time];
+				label.style[this._axis.timeSize] = band.style[this._axis.timeSize];
+				if (period.colour) {
+					label.style.borderColor = period.colour;
+				}
+				label.append(document.createTextNode(period.label));
+				axis.append(label);
+			}
+		}
+	}
+	
+	/**
+	 * Add a lane behind the rows of each group of entries, with a label which stays in view when scrolling (if entries have groups).
+	 * Any existing lanes are replaced. The lanes are added to the scene, as from the layout (see DiagramLayout#getLanes()).
+	 * @protected
+	 */
+	_addLanes() {
+		for (const el of (this._lanes || [])) {
+			el.remove();
+		}
+		this._lanes = [];
+		this._scene.lanes = this._layout.getLanes();
+		if (this._renderer) return;
+		
+		for (const lane of this._scene.lanes) {
+			const el = document.createElement("div");
+			el.classList.add("timeline-lane");
+			el.dataset.group = lane.id;
+			el.style[this._axis.cross] = (lane.row + 1) * this._config.rowHeight + "px";
+			el.style[this._axis.crossSize] = lane.rows * this._config.rowHeight + "px";
+			if (lane.colour) {
+				el.dataset.colour = lane.colour;
+				el.style.setProperty("--timeline-lane-colour", lane.colour);
+			}
+			
+			const label = document.createElement("span");
+			label.classList.add("timeline-lane-label");
+			label.append(document.createTextNode(lane.label));
+			el.append(label);
+			
+			this._lanes.push(el);
+			this._container.append(el);
+		}
+	}
+	
+	/**
+	 * Add a rule across the whole diagram for each event in the 'events' config, with a label which can be clicked.
+	 * Events without a valid date in the timeline are skipped.
+	 * @protected
+	 * @fires Timeline#timelineEventClick
+	 */
+	_addEvents() {
+		this._eventRules = [];
+		
+		for (const event of this._getValidEvents(this._config.events)) {
+			const rule = document.createElement("div");
+			rule.classList.add("timeline-event-rule");
+			rule.style[this._axis.time] = this._layout.yearToWidth(event.date) + "px";
+			if (event.colour) {
+				rule.style.borderColor = event.colour;
+			}
+			
+			const label = this._createEventButton(event, null);
+			label.classList.add("timeline-event-label");
+			label.append(document.createTextNode(event.label));
+			rule.append(label);
+			
+			this._eventRules.push(rule);
+			this._container.append(rule);
+		}
+	}
+	
+	/**
+	 * Add a marker on the line of each visible entry for each of the events in its data-events.
+	 * Any existing markers are replaced.
+	 * @protected
+	 * @fires Timeline#timelineEventClick
+	 */
+	_addEntryEvents() {
+		for (const el of (this._eventMarkers || [])) {
+			el.remove();
+		}
+		this._eventMarkers = [];
+		
+		for (const entry of this._getVisible()) {
+			if (!entry.dataset.events) continue;
+			
+			let events;
+			try {
+				events = JSON.parse(entry.dataset.events);
+			} catch (e) {
+				continue;
+			}
+			for (const event of this._getValidEvents(events)) {
+				const point = this._layout.getPoint(entry.id, event.date);
+				const marker = this._createEventButton(event, entry.id);
+				marker.classList.add("timeline-event-marker");
+				marker.dataset.entry = entry.id;
+				marker.style.left = point.x + "px";
+				marker.style.top = point.y + "px";
+				marker.style.backgroundColor = event.colour || entry.dataset.colour || "";
+				marker.classList.toggle("timeline-dimmed", this._dimmed.has(entry.id));
+				
+				this._eventMarkers.push(marker);
+				this._container.append(marker);
+			}
+		}
+	}
+	
+	/**
+	 * Place the names of visible entries which don't fit in their boxes, if the 'labels' config is "auto" (see LabelPlacer).
+	 * Names of short entries are shown in a label beside the entry where there's space, and other names are truncated in the box.
+	 * Truncated and hidden names are given in the entry's title instead, unless it has its own.
+	 * Any existing labels are replaced. Labels outside boxes are added to the scene, with the label's 'entry' ID, 'text', and whether it is 'dimmed'
+	 * (and 'traced', see _applyTrace()), as well as the label from LabelPlacer#place().
+	 * @protected
+	 */
+	_addLabels() {
+		for (const el of (this._labels || [])) {
+			el.remove();
+		}
+		this._labels = [];
+		this._scene.labels = [];
+		this._clearLabelledEntries();
+		if (this._config.labels !== "auto") return;
+		
+		const visible = this._getVisible();
+		const placer = new LabelPlacer(this._layout, this._getTextMeasure(), this._config);
+		const labels = placer.place(visible.map(entry => ({ id: entry.id, name: entry.textContent.trim() })));
+		
+		for (const entry of visible) {
+			const label = labels.get(entry.id);
+			if (!label) continue;
+			
+			const titled = (label.truncated && !entry.hasAttribute("title"));
+			if (titled) {
+				entry.title = entry.textContent.trim();
+			}
+			this._labelled.set(entry, titled);
+			if (label.placement === "inside") {
+				entry.classList.add("timeline-label-truncated");
+				entry.style.setProperty("--timeline-label-lines", label.lines);
+			}
+			if (label.placement === null || label.placement === "inside") continue;
+			
+			const item = Object.assign({ entry: entry.id, text: entry.textContent.trim(), dimmed: this._dimmed.has(entry.id) }, label);
+			this._scene.labels.push(item);
+			if (this._renderer) continue;
+			
+			const el = document.createElement("span");
+			el.classList.add("timeline-label", "timeline-label-" + item.placement);
+			el.classList.toggle("timeline-label-truncated", item.truncated);
+			el.classList.toggle("timeline-dimmed", item.dimmed);
+			el.setAttribute("aria-hidden", "true");
+			el.dataset.entry = item.entry;
+			el.style.left = item.x + "px";
+			el.style.top = item.y + "px";
+			el.style.width = item.w + "px";
+			el.append(document.createTextNode(item.text));
+			
+			this._labels.push(el);
+			this._container.append(el);
+		}
+	}
+	
+	/**
+	 * Remove the classes, properties and titles added to entries for their labels.
+	 * @protected
+	 */
+	_clearLabelledEntries() {
+		for (const [entry, titled] of (this._labelled || [])) {
+			entry.classList.remove("timeline-label-truncated");
+			entry.style.removeProperty("--timeline-label-lines");
+			if (titled) {
+				entry.removeAttribute("title");
+			}
+		}
+		this._labelled = new Map();
+	}
+	
+	/**
+	 * Get a function to measure the width of text in the font of the entries.
+	 * The width is estimated if it can't be measured with a canvas.
+	 * @protected
+	 * @return {function}
+	 */
+	_getTextMeasure() {
+		const ctx = document.createElement("canvas").getContext("2d");
+		if (!ctx) {
+			return estimateTextWidth;
+		}
+		ctx.font = `${entryText.size}px ${window.getComputedStyle(this._container).fontFamily || "sans-serif"}`;
+		return (str) => ctx.measureText(str).width;
+	}
+	
+	/**
+	 * Get the events in a list which have a valid date in the timeline and a label.
+	 * @protected
+	 * @param {array.<object>} [events]
+	 * @return {array.<object>}
+	 */
+	_getValidEvents(events) {
+		if (!Array.isArray(events)) return [];
+		return events.filter(event => {
+			const date = parseDate(event?.date);
+			return !isNaN(date) && date >= this._config.yearStart && date <= this._config.yearEnd && event.label;
+		});
+	}
+	
+	/**
+	 * Create the button for an event, which emits a timelineEventClick event when clicked. Its title shows the event's date and description.
+	 * @protected
+	 * @param {object} event
+	 * @param {string|null} id - The ID of the entry the event is on, or null for events across the diagram
+	 * @return {HTMLButtonElement}
+	 */
+	_createEventButton(event, id) {
+		const button = document.createElement("button");
+		button.type = "button";
+		button.classList.add("timeline-event");
+		button.title = `${event.label} (${event.date})` + (event.description ? `: ${event.description}` : "");
+		button.addEventListener("click", (e) => {
+			e.stopPropagation();
+			const click = new CustomEvent('timelineEventClick', { detail: Object.assign({}, event, { entry: id }) });
+			this._container.dispatchEvent(click);
+		});
+		return button;
+	}
+		
+	/** Draw all lines in the timeline between entries.
+	 * @protected
+	 */
+	_draw() {
+		for (const entry of this._entries) {
+			this._drawEntry(entry);
+		}
+	}
+	
+	/**
+	 * Draw all lines from a single entry.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 */
+	_drawEntry(entry) {
+		for (const settings of this._layout.getConnectors(entry.id)) {
+			this._appendConnector(this._drawConnector(settings), entry, settings);
+		}
+	}
+	
+	/** Add CSS properties to document root, based on config.
+	 * @protected
+	 */
+	_applyCSSProperties() {
+		const root = document.documentElement;
+		root.style.setProperty('--timeline-year-width', this._config.yearWidth + "px");
+		root.style.setProperty('--timeline-row-height', this._config.rowHeight + "px");
+		root.style.setProperty('--timeline-box-width', this._config.boxWidth + "px");
+		root.style.setProperty('--timeline-box-height', this._config.boxHeight + "px");
+		root.style.setProperty('--timeline-box-width-min', this._config.boxHeight + "px");
+		root.style.setProperty('--timeline-padding', this._config.padding + "px");
+		root.style.setProperty('--timeline-stroke-colour', this._config.strokeColour);
+		
+	}
+	
+	/**
+	 * Draw a connector from the layout with SvgConnector.
+	 * @protected
+	 * @param {object} settings - The connector settings from the layout (see DiagramLayout#getConnectors())
+	 * @return {object} - An SVG element, an SVG group if the sharedSvg config is set, or just the settings if the canvas renderer is used
+	 */
+	_drawConnector(settings) {
+		if (this._renderer) {
+			return settings;
+		}
+		if (this._layer) {
+			return SvgConnector.drawGroup(settings);
+		}
+		return SvgConnector.draw(settings);
+	}
+	
+	/**
+	 * Add a connector to the diagram, recording the entry it is drawn from, and the entries it joins (as data-source and data-target).
+	 * @protected
+	 * @param {object} connector - The SVG element returned by _drawConnector()
+	 * @param {HTMLElement} entry - The entry the connector is drawn from
+	 * @param {object} settings - The connector settings from the layout
+	 */
+	_appendConnector(connector, entry, settings) {
+		if (this._renderer) {
+			this._renderer.addConnector(entry, settings.type, connector);
+			return;
+		}
+		connector.classList.add(settings.type);
+		if (this._dimmed.has(entry.id)) {
+			connector.classList.add("timeline-dimmed");
+		}
+		connector.dataset.source = settings.source;
+		if (settings.target !== null) {
+			connector.dataset.target = settings.target;
+		}
+		if (this._layer) {
+			this._getEntryGroup(entry).append(connector);
+			return;
+		}
+		connector.dataset.entry = entry.id;
+		this._container.append(connector);
+	}
+	
 }
 
 export {defaultDiagramConfig, Diagram}
@@ -0,0 +1,944 @@
+import DiagramPositioner from './DiagramPositioner.js';
+import OptimisedPositioner from './OptimisedPositioner.js';
+import {applyConfig, parseDate, isSubYearDate, dateStep} from './util.js';
+
+/**
+ * The default configuration object for the layout. These options are also part of the Diagram config.
+ */
+const defaultLayoutConfig = {
+	yearStart: 1900,
+	yearEnd: new Date().getFullYear() + 1,
+	strokeWidth: 4,
+	yearWidth: 50,
+	rowHeight: 50,
+	padding: 5,
+	strokeColour: "#999",
+	boxWidth: 100,
+	linkDashes: "4",
+	irregularDashes: "20 2",
+	orientation: "horizontal",
+	connectorStyle: "straight",
+	positioner: "default",
+	groups: null
+}
+
+/**
+ * Entry properties which hold a list of IDs.
+ */
+const listProperties = ["merge", "from", "fork", "links"];
+
+/**
+ * Calculates the layout of a diagram: the row and box of each entry, and the connectors between them.
+ * This works on plain entry objects (as for the Diagram 'data' config) and doesn't use the DOM, so it can be used without a browser.
+ *
+ * Entries with a 'group' are kept together in a band of rows (a lane) for each group, in which any manual row is set.
+ * Each lane is positioned separately, and lanes are ordered by the 'groups' config, then the order the groups are first found in.
+ * Entries without a group are placed in a final lane. Entries joined by 'become' are in the lane of the first of them.
+ *
+ * Entries are positioned when the layout is created. Entries can then be changed with setEntry() and removeEntry(),
+ * and repositioned with clear() and place(), leaving the rest of the layout as it is.
+ *
+ * Entries can also have 'stubs', for relations to entries which aren't in the layout (e.g. filtered out): see _addStubs().
+ *
+ * Entries are expected to be valid (see DiagramValidator), though relations to IDs which aren't in the layout are ignored, with a warning in the console.
+ * All positions are in px from the top left of the diagram, according to the orientation.
+ */
+class DiagramLayout {
+
+	/**
+	 * @param {array.<object>} entries - The entry objects (see Diagram#_createEntry)
+	 * @param {object} [config] - The layout config, with the same properties (and defaults) as the Diagram config. Others are ignored.
+	 */
+	constructor(entries, config = {}) {
+		this._config = applyConfig(defaultLayoutConfig, config);
+		this._config.boxHeight = this._config.rowHeight - this._config.padding*2;
+		this._config.boxMinWidth = this._config.boxHeight;
+		this._vertical = (this._config.orientation === "vertical");
+
+		this._data = new Map();
+		this._entries = new Map();
+		this._becomeFrom = new Map();
+		this._foundedFrom = new Map();
+		this._lanes = new Map();
+		this._laneOf = new Map();
+		this._laneList = [];
+		this._rows = 1;
+		for (const obj of entries) {
+			this.setEntry(obj);
+		}
+		this._position();
+	}
+
+	/**
+	 * Get the complete layout.
+	 * @return {object} - With the properties:
+	 * 		- rows: the number of rows
+	 * 		- width, height: the size of the diagram in px
+	 * 		- resolution: the number of positions per year (12 if any entry has a date with a month, otherwise 1)
+	 * 		- boxes: the box for each entry (see getBox())
+	 * 		- connectors: all connectors (see getConnectors())
+	 * 		- lanes: the lane for each group (see getLanes())
+	 */
+	layout() {
+		const ids = [...this._entries.keys()];
+		const size = this.getSize();
+		return {
+			rows: this.rows,
+			width: size.width,
+			height: size.height,
+			resolution: this.resolution,
+			boxes: ids.map(id => this.getBox(id)),
+			connectors: ids.flatMap(id => this.getConnectors(id)),
+			lanes: this.getLanes()
+		};
+	}
+
+	/**
+	 * Get the number of rows.
+	 * @return {number}
+	 */
+	get rows() {
+		return this._rows;
+	}
+
+	/**
+	 * Get the number of positions per year used to place entries.
+	 * @return {number}
+	 */
+	get resolution() {
+		return this._resolution;
+	}
+
+	/**
+	 * Get the size of the diagram, including a row each side for the date axes and a year's padding at the end.
+	 * @return {object} - width and height in px
+	 */
+	getSize() {
+		const time = (this._config.yearEnd + 1 - this._config.yearStart) * this._config.yearWidth;
+		const cross = (this.rows + 2) * this._config.rowHeight;
+		return (this._vertical ? { width: cross, height: time } : { width: time, height: cross });
+	}
+
+	/**
+	 * Add an entry, or replace the data of an existing entry.
+	 * The entry isn't positioned until place() is called. To change an entry which is already positioned, clear() it first.
+	 * @param {object} obj - The entry object
+	 */
+	setEntry(obj) {
+		if (this._entries.has(obj.id)) {
+			this._unindex(this._entries.get(obj.id));
+		}
+		this._data.set(obj.id, Object.assign({}, obj));
+		const entry = this._createEntry(obj);
+		this._entries.set(obj.id, entry);
+		this._index(entry);
+	}
+
+	/**
+	 * Remove an entry. The space it takes should be freed with clear() first.
+	 * @param {string} id
+	 */
+	removeEntry(id) {
+		if (!this._entries.has(id)) return;
+		this._unindex(this._entries.get(id));
+		this._entries.delete(id);
+		this._data.delete(id);
+		if (this._laneOf.has(id)) {
+			this._laneOf.get(id).entries.delete(id);
+			this._laneOf.delete(id);
+		}
+		this._updateLanes();
+	}
+
+	/**
+	 * Free the space taken by positioned entries, so they can be changed or removed.
+	 * @param {array.<string>} ids
+	 */
+	clear(ids) {
+		for (const id of ids) {
+			if (this._entries.has(id) && this._laneOf.has(id)) {
+				this._laneOf.get(id).positioner.clearEntry(this._entries.get(id));
+			}
+		}
+	}
+
+	/**
+	 * Position entries, resetting them to their original data first, so that calculated ends and automatic rows are recalculated.
+	 * Their space should already be free (see clear()).
+	 * With the "optimised" positioner, the rows of these entries are then optimised, leaving other entries where they are.
+	 * @param {array.<string>} ids
+	 */
+	place(ids) {
+		const entries = [];
+		for (const id of ids) {
+			const entry = this._createEntry(this._data.get(id));
+			this._dropMissing(entry);
+			this._entries.set(id, entry);
+			entries.push(entry);
+		}
+		for (const entry of entries) {
+			entry.end = this._calcEnd(entry);
+		}
+		for (const entry of entries) {
+			const lane = this._getLane(this._getLaneId(entry.id));
+			if (this._laneOf.has(entry.id)) {
+				this._laneOf.get(entry.id).entries.delete(entry.id);
+			}
+			lane.entries.set(entry.id, entry);
+			this._laneOf.set(entry.id, lane);
+		}
+		for (const entry of entries) {
+			this._laneOf.get(entry.id).positioner.setEntryRow(entry);
+		}
+		if (this._config.positioner === "optimised") {
+			const pinned = this._getPinned();
+			for (const lane of new Set(entries.map(e => this._laneOf.get(e.id)))) {
+				lane.positioner.optimise(entries.filter(e => this._laneOf.get(e.id) === lane), pinned);
+			}
+		}
+		this._updateLanes();
+	}
+
+	/**
+	 * Get the box an entry is drawn in.
+	 * @param {string} id
+	 * @return {object} - With the properties:
+	 * 		- id
+	 * 		- row: the row across the whole diagram (the row within its group's lane is the entry's own row)
+	 * 		- start, end: the dates of the entry (end is calculated if not set)
+	 * 		- min: whether the entry is too short for a full size box
+	 * 		- x, y, w, h: the position and size of the box in px
+	 */
+	getBox(id) {
+		const entry = this._entries.get(id);
+		const box = this._getBox(entry);
+		return Object.assign({
+			id: id,
+			row: this._getRow(entry),
+			start: entry.start,
+			end: entry.end,
+			min: this._isShort(entry)
+		}, this._transposeBox(box));
+	}
+
+	/**
+	 * Get the point on an entry's line at a date, e.g. to mark an event on it.
+	 * @param {string} id
+	 * @param {number|string} date
+	 * @return {object} - x and y in px
+	 */
+	getPoint(id, date) {
+		const point = this._transposeBox({ x: this.yearToWidth(date), y: this._getYCentre(this._entries.get(id)), w: 0, h: 0 });
+		return { x: point.x, y: point.y };
+	}
+
+	/**
+	 * Get the connectors drawn from an entry.
+	 * Each has the settings for SvgConnector.draw(), along with the 'entry' ID, connector 'type'
+	 * (one of "end", "become", "merge", "split", "fork", "link" or "stub"), and the 'source' and 'target' IDs of the entries it joins
+	 * (see _addConnector()).
+	 * @param {string} id
+	 * @return {array.<object>}
+	 */
+	getConnectors(id) {
+		const entry = this._entries.get(id);
+		this._connectors = [];
+		this._addEntryConnectors(entry);
+		const connectors = this._connectors;
+		this._connectors = null;
+		return connectors;
+	}
+
+	/**
+	 * Get the lanes of rows for each group of entries, in order. If no entries have a group, there are none.
+	 * @return {array.<object>} - With the properties:
+	 * 		- id: the group
+	 * 		- label, colour: from the 'groups' config (the label defaults to the group)
+	 * 		- row: the first row of the lane
+	 * 		- rows: the number of rows in the lane
+	 * 		- x, y, w, h: the position and size of the lane in px
+	 */
+	getLanes() {
+		if (![...this._lanes.keys()].some(id => id !== "")) return [];
+
+		const c = this._config;
+		const groups = c.groups || {};
+		const length = (c.yearEnd + 1 - c.yearStart) * c.yearWidth;
+		return this._laneList.map(lane => {
+			const conf = groups[lane.id] || {};
+			return Object.assign({
+				id: lane.id,
+				label: conf.label ?? lane.id,
+				colour: conf.colour ?? "",
+				row: lane.start,
+				rows: lane.positioner.rows
+			}, this._transposeBox({ x: 0, y: (lane.start + 1) * c.rowHeight, w: length, h: lane.positioner.rows * c.rowHeight }));
+		});
+	}
+
+	/**
+	 * Get the position in px along the time axis of a date.
+	 * @param {number|string} year - A year (which may be fractional) or ISO date
+	 * @return {number}
+	 */
+	yearToWidth(year) {
+		return parseInt((parseDate(year) - this._config.yearStart) * this._config.yearWidth);
+	}
+
+	/**
+	 * Position all entries.
+	 * @protected
+	 */
+	_position() {
+		let resolution = 1;
+		for (const entry of this._entries.values()) {
+			//Position by month if any dates are more precise than a year. Days aren't a finer resolution: entries are drawn at their day,
+			//but placed in rows by the month, so those within the same month take the same space.
+			if (isSubYearDate(entry.start) || isSubYearDate(entry.end)) {
+				resolution = 12;
+			}
+		}
+		this._resolution = resolution;
+		this.place([...this._entries.keys()]);
+	}
+
+	/**
+	 * Get the lane for a group, creating it (with its own positioner) if needed.
+	 * @protected
+	 * @param {string} id - The group, or "" for entries without a group
+	 * @return {object}
+	 */
+	_getLane(id) {
+		if (this._lanes.has(id)) {
+			return this._lanes.get(id);
+		}
+
+		//Without groups, keep the spare row the diagram has always had. Lanes are kept to the rows they use.
+		const grouped = [...this._data.values()].some(obj => obj.group);
+		let rows = (grouped ? 0 : 1);
+		for (const obj of this._data.values()) {
+			//Find the highest manual row number
+			const row = parseInt(obj.row);
+			if (row > rows && this._getLaneId(obj.id) === id) {
+				rows = row;
+			}
+		}
+
+		const years = this._config.yearEnd - this._config.yearStart;
+		const Positioner = (this._config.positioner === "optimised" ? OptimisedPositioner : DiagramPositioner);
+		const entries = new Map();
+		const lane = {
+			id: id,
+			index: this._lanes.size,
+			start: 0,
+			entries: entries,
+			positioner: new Positioner(years, this._config.yearStart, rows, this._resolution, entries)
+		};
+		this._lanes.set(id, lane);
+		return lane;
+	}
+
+	/**
+	 * Get the group whose lane an entry is placed in: that of the first entry in its chain of 'become'.
+	 * @protected
+	 * @param {string} id
+	 * @return {string} - The group, or "" if it has none
+	 */
+	_getLaneId(id) {
+		let obj = this._data.get(id);
+		const seen = new Set([id]);
+		for (let prev = this._becomeFrom.get(obj.id); prev && prev.size > 0; prev = this._becomeFrom.get(obj.id)) {
+			const prevId = prev.values().next().value;
+			if (seen.has(prevId) || !this._data.has(prevId)) break;
+			seen.add(prevId);
+			obj = this._data.get(prevId);
+		}
+		return (obj.group ? String(obj.group) : "");
+	}
+
+	/**
+	 * Remove empty lanes, then order the lanes and set the first row of each.
+	 * @protected
+	 */
+	_updateLanes() {
+		for (const [id, lane] of this._lanes) {
+			if (lane.entries.size === 0) {
+				this._lanes.delete(id);
+			}
+		}
+
+		const groups = this._config.groups || {};
+		const keys = Object.keys(groups);
+		const sortKey = (lane) => {
+			if (lane.id === "") return [2, 0];
+			if (!groups[lane.id]) return [1, lane.index];
+			return [0, groups[lane.id].order ?? keys.indexOf(lane.id)];
+		}
+		this._laneList = [...this._lanes.values()].sort((a, b) => {
+			const [ka, kb] = [sortKey(a), sortKey(b)];
+			return (ka[0] - kb[0]) || (ka[1] - kb[1]);
+		});
+
+		let row = 0;
+		for (const lane of this._laneList) {
+			lane.start = row;
+			row += lane.positioner.rows;
+		}
+		this._rows = Math.max(row, 1);
+	}
+
+	/**
+	 * Get the row of an entry across the whole diagram, from its row within its lane.
+	 * @protected
+	 * @param {object} entry
+	 * @return {number}
+	 */
+	_getRow(entry) {
+		return this._laneOf.get(entry.id).start + entry.row;
+	}
+
+	/**
+	 * Get the IDs of entries with a manually set row.
+	 * @protected
+	 * @return {Set.<string>}
+	 */
+	_getPinned() {
+		const pinned = new Set();
+		for (const obj of this._data.values()) {
+			if (!isNaN(parseInt(obj.row))) {
+				pinned.add(obj.id);
+			}
+		}
+		return pinned;
+	}
+
+	/**
+	 * Create the working copy of an entry object, with rows as numbers and ID lists as arrays.
+	 * @protected
+	 * @param {object} obj
+	 * @return {object}
+	 */
+	_createEntry(obj) {
+		const entry = Object.assign({}, obj);
+		const row = parseInt(obj.row);
+		entry.row = (isNaN(row) ? undefined : row);
+		for (const prop of listProperties) {
+			if (typeof entry[prop] === "string") {
+				entry[prop] = entry[prop].split(" ").filter(id => id !== "");
+			}
+		}
+		return entry;
+	}
+
+	/**
+	 * Drop the IDs of entries which aren't in the layout from an entry's relations, with a warning.
+	 * Links are checked when they are drawn (see _addLinks()).
+	 * @protected
+	 * @param {object} entry - The working copy of the entry
+	 */
+	_dropMissing(entry) {
+		const exists = (prop, id) => {
+			if (this._data.has(id)) return true;
+			console.warn(`${entry.id} has ${prop} with non-existent ID ${id}`);
+			return false;
+		};
+		for (const prop of ["become", "split"]) {
+			if (entry[prop] && !exists(prop, entry[prop])) {
+				delete entry[prop];
+			}
+		}
+		for (const prop of ["merge", "from", "fork"]) {
+			if (entry[prop]) {
+				entry[prop] = entry[prop].filter(id => exists(prop, id));
+				if (entry[prop].length === 0) {
+					delete entry[prop];
+				}
+			}
+		}
+	}
+
+	/**
+	 * Record the entry's data-become and data-from relations, so the entries which become an entry, and those founded from it, can be found.
+	 * @protected
+	 * @param {object} entry
+	 */
+	_index(entry) {
+		const add = (index, key) => {
+			if (!index.has(key)) {
+				index.set(key, new Set());
+			}
+			index.get(key).add(entry.id);
+		};
+		if (entry.become) {
+			add(this._becomeFrom, entry.become);
+		}
+		for (const id of (entry.from || [])) {
+			add(this._foundedFrom, id);
+		}
+	}
+
+	/**
+	 * Remove the entry's data-become and data-from relations from the index.
+	 * @protected
+	 * @param {object} entry
+	 */
+	_unindex(entry) {
+		if (entry.become && this._becomeFrom.has(entry.become)) {
+			this._becomeFrom.get(entry.become).delete(entry.id);
+		}
+		for (const id of (entry.from || [])) {
+			if (this._foundedFrom.has(id)) {
+				this._foundedFrom.get(id).delete(entry.id);
+			}
+		}
+	}
+
+	/**
+	 * Get the entries an entry merges into: those in its data-merge, and those founded from it (with it in their data-from).
+	 * @protected
+	 * @param {object} entry
+	 * @return {array.<object>}
+	 */
+	_getMerges(entry) {
+		const ids = new Set([...(entry.merge || []), ...(this._foundedFrom.get(entry.id) || [])]);
+		return [...ids].map(id => this._entries.get(id)).filter(e => e);
+	}
+
+	/**
+	 * Return the end date for an entry, whether explicitly set or not.
+	 * The date is returned in the format it is given (a year or ISO date).
+	 * @protected
+	 * @param {object} entry
+	 * @return {number|string}
+	 */
+	_calcEnd(entry) {
+		if (entry.end) {
+			return entry.end;
+		}
+
+		if (entry.become) {
+			return this._entries.get(entry.become).start;
+		}
+
+		if (entry.fork) {
+			return entry.fork.map(id => this._entries.get(id).start).reduce((a, b) => (parseDate(b) > parseDate(a) ? b : a));
+		}
+
+		//An entry which others are founded from ends when the first of them starts
+		const founded = [...(this._foundedFrom.get(entry.id) || [])].map(id => this._entries.get(id)).filter(e => e);
+		if (founded.length > 0) {
+			return founded.map(e => e.start).reduce((a, b) => (parseDate(b) < parseDate(a) ? b : a));
+		}
+
+		return parseInt(this._config.yearEnd);
+	}
+
+	/**
+	 * Check if an entry should be small on the graph (too brief to fit full box size)
+	 * @protected
+	 * @param {object} entry
+	 * @return {boolean}
+	 */
+	_isShort(entry) {
+		return (parseDate(entry.end) - parseDate(entry.start)) < (this._config.boxWidth/this._config.yearWidth);
+	}
+
+	/**
+	 * Get the box of an entry as if the diagram is horizontal (see _transposeBox()).
+	 * Entries which start on the same date as the entry they become are nudged apart, so both can be seen.
+	 * @protected
+	 * @param {object} entry
+	 * @return {object} - x, y, w and h
+	 */
+	_getBox(entry) {
+		const c = this._config;
+		let x = this.yearToWidth(entry.start);
+
+		if (entry.become && this._sameDate(entry.start, this._entries.get(entry.become).start)) {
+			x -= c.boxMinWidth/2;
+		}
+		for (const id of (this._becomeFrom.get(entry.id) || [])) {
+			if (this._sameDate(this._entries.get(id).start, entry.start)) {
+				x += c.boxMinWidth/2;
+			}
+		}
+
+		return {
+			x: x,
+			y: (this._getRow(entry) + 1) * c.rowHeight + c.padding, //Add 1 to row due to 0 index.
+			w: (this._isShort(entry) ? c.boxMinWidth : c.boxWidth),
+			h: c.boxHeight
+		};
+	}
+
+	/**
+	 * Convert a box calculated as if the diagram is horizontal to the diagram's orientation.
+	 * @protected
+	 * @param {object} box
+	 * @return {object}
+	 */
+	_transposeBox(box) {
+		if (this._vertical) {
+			return { x: box.y, y: box.x, w: box.h, h: box.w };
+		}
+		return box;
+	}
+
+	/**
+	 * Add all connectors from a single entry.
+	 * @protected
+	 * @param {object} entry
+	 */
+	_addEntryConnectors(entry) {
+		const colour = (entry.colour ? entry.colour : this._config.strokeColour);
+		const dasharray = (entry.irregular === true || entry.irregular === "true" ? this._config.irregularDashes : "");
+
+		const merges = this._getMerges(entry);
+
+		let endMarker = "";
+		let type = "end";
+		let target = null;
+		let start = this._getJoinCoords(entry, "right");
+		let end = {
+			x: this.yearToWidth(entry.end),
+			y: start.y
+		};
+
+		//Ends without joining another entry (or a stub in place of one)
+		if (merges.length === 0 && !entry.fork && !entry.become && !(entry.stubs || []).some(stub => !stub.incoming && !stub.date)) {
+			endMarker = (entry.endEstimate && entry.endEstimate !== "false" ? "dots" : "circle");
+		}
+
+		if (entry.become) {
+			end = this._getJoinCoords(this._entries.get(entry.become), "left");
+			type = "become";
+			target = entry.become;
+		}
+
+		if (merges.length > 0) {
+			//Special case of one year (or month, for sub-year dates) length and then merging. We need to bump the merge point forward by 1 step to meet an 'end of year' point. Otherwise, it's indistinguishable from a split.
+			if (this._sameDate(entry.start, entry.end)) {
+				end.x += this._stepWidth(entry.end);
+			}
+
+			//Merged entry's line ends a bit earlier, so as to go diagonally to meet each other entry at the year mark.
+			const mergeX = end.x;
+			end.x = end.x - this._stepWidth(entry.end);
+			for (const other of merges) {
+				const mergePoint = {
+					x: mergeX,
+					y: this._getYCentre(other)
+				}
+				this._addConnector({ start: end, end: mergePoint, stroke: this._config.strokeWidth, colour: colour, target: other.id }, entry, "merge");
+			}
+			type = "merge";
+			//The line itself leads to a single entry only if it merges into one
+			target = (merges.length === 1 ? merges[0].id : null);
+		}
+
+		//Nothing to draw here if entry starts and ends on the same year
+		if (!this._sameDate(entry.start, entry.end)) {
+			this._addConnector({ start: start, end: end, stroke: this._config.strokeWidth, colour: colour, markers: ["", endMarker], dashes: dasharray, target: target }, entry, type);
+		}
+
+		if (entry.split) {
+			this._addSplit(entry, colour);
+		}
+		if (entry.fork) {
+			this._addForks(entry, colour);
+		}
+		if (entry.links) {
+			this._addLinks(entry, colour);
+		}
+		if (entry.stubs) {
+			this._addStubs(entry, colour);
+		}
+	}
+
+	/**
+	 * Add the connector for a split.
+	 * @protected
+	 * @param {object} entry
+	 * @param {string} colour
+	 */
+	_addSplit(entry, colour) {
+		const source = this._entries.get(entry.split);
+
+		let direction = "top";
+		if (this._getRow(entry) < this._getRow(source)) {
+			direction = "bottom";
+		}
+
+		const start = {
+			x: this.yearToWidth(entry.start),
+			y: this._getYCentre(source)
+		}
+		const end = this._getJoinCoords(entry, direction);
+
+		this._addConnector({ start: start, end: end, stroke: this._config.strokeWidth, colour: colour, source: entry.split, target: entry.id }, entry, "split");
+	}
+
+	/**
+	 * Add the connectors for a fork.
+	 * @protected
+	 * @param {object} entry
+	 * @param {string} colour
+	 */
+	_addForks(entry, colour) {
+		const forkYear = parseDate(entry.end);
+		const forkEnd = forkYear + dateStep(entry.end);
+
+		const start = {
+			x: this.yearToWidth(forkYear),
+			y: this._getYCentre(entry)
+		}
+		for (const id of entry.fork) {
+			const end = {
+				x: this.yearToWidth(forkEnd),
+				y: this._getYCentre(this._entries.get(id))
+			}
+			this._addConnector({ start: start, end: end, stroke: this._config.strokeWidth, colour: colour, target: id }, entry, "fork");
+		}
+	}
+
+	/**
+	 * Add the connectors for links.
+	 * @protected
+	 * @param {object} entry
+	 * @param {string} colour
+	 */
+	_addLinks(entry, colour) {
+		//Count links drawn on each side, so additional ones can be offset to avoid overlap.
+		let indices = {
+			top: -1,
+			bottom: -1,
+			left: -1,
+			right: -1
+		}
+
+		for (const link of entry.links) {
+			const target = this._entries.get(link);
+			if (!target) {
+				console.warn(`${entry.id} links to non-existant ID ${link}`);
+				continue;
+			}
+
+			let sourceSide, targetSide, start = { x: 0, y: 0}, end = { x: 0, y: 0};
+
+			const eStart = parseDate(entry.start);
+			const tStart = parseDate(target.start);
+			const eRow = this._getRow(entry);
+			const tRow = this._getRow(target);
+
+			//Find the direction of the link
+			if (eRow === tRow && eStart < tStart) {
+				indices["right"] = indices["right"]+1;
+				sourceSide = "right";
+				targetSide = "left";
+			}
+			if (eRow === tRow && eStart > tStart) {
+				indices["left"] = indices["left"]+1;
+				sourceSide = "left";
+				targetSide = "right";
+			}
+			if (eRow > tRow) {
+				indices["top"] = indices["top"]+1;
+				sourceSide = "top";
+				targetSide = "bottom";
+			}
+			if (eRow < tRow) {
+				indices["bottom"] = indices["bottom"]+1;
+				sourceSide = "bottom";
+				targetSide = "top";
+			}
+
+			start = this._getJoinCoords(entry, sourceSide, indices[sourceSide]);
+
+			//Start with vertical line to line case
+			end = {
+				x: start.x,
+				y: this._getYCentre(target)
+			}
+
+			//If the target doesn't overlap in time with the source (can't be after, as link would be vice versa then)
+			if(eStart >= parseDate(target.end)) {
+				end.x = this.yearToWidth(target.end);
+			}
+
+			//If the year is the same, link the entry box, not the line
+			if(eStart === tStart) {
+				end = this._getJoinCoords(target, targetSide);
+			}
+
+			this._addConnector({
+				start: start,
+				end: end,
+				stroke: this._config.strokeWidth/2,
+				colour: colour,
+				markers: ["square", "square"],
+				dashes: this._config.linkDashes,
+				direction: (sourceSide === "top" || sourceSide === "bottom" ? "vertical" : "horizontal"),
+				target: link
+			}, entry, "link");
+		}
+	}
+
+	/**
+	 * Add the stubs for an entry: short dashed connectors in place of relations to entries which aren't in the layout, ending in a circle.
+	 * Each stub is an object with:
+	 * 		- id: the ID of the other entry
+	 * 		- type: the type of relation (e.g. "split")
+	 * 		- incoming: whether the stub comes in to the entry's line from before, or leaves it
+	 * 		- date: where the stub meets the entry's line (the end of the entry if omitted)
+	 * 		- title: the title for the connector (the other entry's ID if omitted)
+	 * @protected
+	 * @param {object} entry
+	 * @param {string} colour
+	 */
+	_addStubs(entry, colour) {
+		const length = this._config.rowHeight/2;
+
+		for (const stub of entry.stubs) {
+			const date = stub.date ?? entry.end;
+			const point = {
+				x: this.yearToWidth(date),
+				y: this._getYCentre(entry)
+			}
+			if (stub.incoming && this._sameDate(date, entry.start)) {
+				point.x = this._getJoinCoords(entry, "left").x;
+			}
+			const loose = {
+				x: (stub.incoming ? point.x - length : point.x + length),
+				y: point.y - length
+			}
+
+			this._addConnector({
+				start: (stub.incoming ? loose : point),
+				end: (stub.incoming ? point : loose),
+				stroke: this._config.strokeWidth/2,
+				colour: colour,
+				markers: (stub.incoming ? ["circle", ""] : ["", "circle"]),
+				dashes: this._config.linkDashes,
+				title: stub.title || stub.id,
+				source: (stub.incoming ? stub.id : entry.id),
+				target: (stub.incoming ? entry.id : stub.id)
+			}, entry, "stub");
+		}
+	}
+
+	/**
+	 * Add a connector, from coordinates calculated as if the diagram is horizontal.
+	 * The coordinates (and direction) are transposed if the diagram is vertical.
+	 * Each connector records the entries it joins, in the direction of time: its 'source' (the entry it is drawn from, if not set),
+	 * and its 'target' (null if it joins no other entry, e.g. an end).
+	 * @protected
+	 * @param {object} settings - The settings for SvgConnector.draw(), with the 'source' and 'target' IDs
+	 * @param {object} entry - The entry the connector is drawn from
+	 * @param {string} type - The type of connector (e.g. "split")
+	 */
+	_addConnector(settings, entry, type) {
+		settings.entry = entry.id;
+		settings.type = type;
+		settings.source = settings.source ?? entry.id;
+		settings.target = settings.target ?? null;
+		settings.style = this._getConnectorStyle(entry, type);
+		settings.direction = settings.direction || "horizontal";
+
+		if (this._vertical) {
+			settings.start = { x: settings.start.y, y: settings.start.x };
+			settings.end = { x: settings.end.y, y: settings.end.x };
+			settings.direction = (settings.direction === "horizontal" ? "vertical" : "horizontal");
+		}
+		this._connectors.push(settings);
+	}
+
+	/**
+	 * Get the style for a connector: from the entry's connectorStyle if set, otherwise from the connectorStyle config.
+	 * @protected
+	 * @param {object} entry - The entry the connector is drawn from
+	 * @param {string} type - The type of connector
+	 * @return {string}
+	 */
+	_getConnectorStyle(entry, type) {
+		if (entry.connectorStyle) {
+			return entry.connectorStyle;
+		}
+		const style = this._config.connectorStyle;
+		if (typeof style === "object" && style !== null) {
+			return style[type] || style.default || "straight";
+		}
+		return style;
+	}
+
+	/**
+	 * Find and return the coordinates where lines should join an entry on each side.
+	 * Where multiple lines are meeting an entry on one side, specifying the offest number
+	 * allows these to join at different points.
+	 * Sides and coordinates are as if the diagram is horizontal (see _addConnector()).
+	 * @protected
+	 * @param {object} entry
+	 * @param {string} side - Must be "top", "bottom", "left" or "right"
+	 * @param {number} offset - the number of steps to offset the point (use if multiple lines join an entry on the same side).
+	 * @return {object}
+	 */
+	_getJoinCoords(entry, side, offset = 0) {
+		const offsetIncrement = 5;
+		const {x, y, w, h} = this._getBox(entry);
+
+		switch(side) {
+			case 'left':
+				return { x: x, y: y + h/2 + (offset * offsetIncrement) };
+			case 'right':
+				return { x: x + w, y: y + h/2 + (offset * offsetIncrement) };
+			case 'top':
+				return { x: x + w/2 + (offset * offsetIncrement), y: y };
+			case 'bottom':
+				return { x: x + w/2 + (offset * offsetIncrement), y: y + h };
+			default:
+				throw new Error(`Invalid entry side specified: Called with ${side}. Entry: ${entry.id}`);
+		}
+	}
+
+	/**
+	 * Get the centre of an entry box across the rows (the Y-axis if horizontal).
+	 * @protected
+	 * @param {object} entry
+	 * @return {number}
+	 */
+	_getYCentre(entry) {
+		return (this._getRow(entry) + 1) * this._config.rowHeight + this._config.padding + (this._config.boxHeight/2);
+	}
+
+	/**
+	 * Get the width in px of one step at the precision of the given date (a year, or a month for sub-year dates).
+	 * @protected
+	 * @param {number|string} date
+	 * @return {number}
+	 */
+	_stepWidth(date) {
+		return dateStep(date) * this._config.yearWidth;
+	}
+
+	/**
+	 * Check if two dates (years or ISO dates) are the same.
+	 * @protected
+	 * @param {number|string} a
+	 * @param {number|string} b
+	 * @return {boolean}
+	 */
+	_sameDate(a, b) {
+		return parseDate(a) === parseDate(b);
+	}
+}
+
+/**
+ * Calculate the layout of a diagram from entry objects, without the DOM.
+ * @param {array.<object>} entries - The entry objects (see Diagram#_createEntry)
+ * @param {object} [config] - The layout config (see Diagram)
+ * @return {object} - rows, boxes and connectors (see DiagramLayout#layout())
+ */
+function layout(entries, config = {}) {
+	return new DiagramLayout(entries, config).layout();
+}
+
+export {defaultLayoutConfig, DiagramLayout, layout}
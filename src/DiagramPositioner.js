@@ -1,8 +1,13 @@
+import {parseDate, dateStep} from './util.js';
+
 /**
  * Calculates an available position for diagram entries which have not had their row (Y-axis position) set manually.
  * This is fairly rudamentary - a row with sufficient empty space for each entry (and any it joins directly with) will be calculated.
- * If the entry splits from, merges with, or forks into other entries, the nearest row to those entries will be sought.
+ * If the entry splits from, merges with, forks into, or is founded from (data-from) other entries, the nearest row to those entries will be sought.
  * This is most effectively used in a hybrid form, using some manual positioning, allowing simpler cases to be positioned automatically.
+ *
+ * Entries are the working entry objects of DiagramLayout, with rows as numbers and ID lists as arrays. Their rows are set directly.
+ * Only the given entries are positioned; relations to any other entries (e.g. those in another group's rows) are ignored.
  */
 class DiagramPositioner {
 	
@@ -10,63 +15,76 @@ class DiagramPositioner {
 	 * @param {number} years - Length of the timeline in years.
 	 * @param {number} [yearStart=1900] - The first year of the timeline.
 	 * @param {number} [rows] - The number of rows currently in the timeline (used for mixed manual and auto positioning).
+	 * @param {number} [resolution=1] - The number of grid units per year (e.g. 12 to position entries by month).
+	 * @param {Map.<string, object>} [entries] - All entries in the diagram by ID, used to find related entries.
 	 */
-	constructor(years, yearStart = 1900, rows = 1) {
+	constructor(years, yearStart = 1900, rows = 1, resolution = 1, entries = new Map()) {
 		this._years = years;
+		this._entries = entries;
 		this._yearStart = yearStart;
-		this._grid = Array.from(Array(rows+1), () => new Array(years).fill(false));
+		this._resolution = resolution;
+		this._grid = Array.from(Array(rows+1), () => new Array(years * resolution).fill(false));
 	}
 	
 	/**
 	 * Set the row for the provided entry.
-	 * @param {HTMLElement} entry
+	 * @param {object} entry
 	 */
 	setEntryRow(entry) {
-		const start = this._yearToGrid(entry.dataset.start);
+		const start = this._yearToGrid(entry.start);
 		const end = this._yearToGrid(this._calcGroupEnd(entry));
-		let seek = null, seek2 = null, near = null;
+		let seek = [], near = null;
 		
-		if (entry.dataset.split) {
-			seek = document.getElementById(entry.dataset.split);
+		if (entry.split && this._entries.has(entry.split)) {
+			seek = [this._entries.get(entry.split)];
 		}
 		
-		if (entry.dataset.merge) {
-			const mergeEl = document.getElementById(entry.dataset.merge);
-			
-			//Prevent infinite recursion if merging with an entry which split from this one
-			if(mergeEl.dataset.split !== entry.id) {
-				seek = document.getElementById(entry.dataset.merge);
-			}
+		//Prevent infinite recursion if merging with, or founded from, an entry which split from this one (or also merges into it)
+		const joined = (ids) => (ids || []).map(id => this._entries.get(id)).filter(e => e && e.split !== entry.id && !(e.merge || []).includes(entry.id));
+		const merges = joined(entry.merge);
+		const founders = joined(entry.from);
+		if (merges.length > 0) {
+			seek = merges;
+		} else if (founders.length > 0) {
+			seek = founders;
 		}
 		
-		if (entry.dataset.fork) {
-			seek = document.getElementById(entry.dataset.fork.split(" ")[0]);
+		const forks = (entry.fork || []).map(id => this._entries.get(id)).filter(e => e);
+		if (forks.length > 0) {
+			seek = [forks[0]];
 		}
 		
-		if (seek && near === null) {
-			if (!seek.dataset.row) {
-				this.setEntryRow(seek);
+		if (seek.length > 0) {
+			for (const other of seek) {
+				if (other.row === undefined) {
+					this.setEntryRow(other);
+				}
 			}
-			near = parseInt(seek.dataset.row);
+			//Between the entries, if there are several
+			near = Math.round(seek.reduce((total, other) => total + other.row, 0) / seek.length);
 		}
 		
-		if (entry.dataset.fork) {
-			seek2 = document.getElementById(entry.dataset.fork.split(" ")[1]);
-			if (!seek2.dataset.row) {
-				this.setEntryRow(seek2);
+		if (forks.length > 0) {
+			for (const fork of forks) {
+				if (fork.row === undefined) {
+					this.setEntryRow(fork);
+				}
 			}
 			//Temporarily allow the space behind the entries we are forking to
-			this._freeGridSpace(seek.dataset.row, this._yearToGrid(seek.dataset.start)-1, this._yearToGrid(seek.dataset.start)-1);
-			this._freeGridSpace(seek2.dataset.row, this._yearToGrid(seek2.dataset.start)-1, this._yearToGrid(seek2.dataset.start)-1);
-			
-			near = Math.round((parseInt(seek.dataset.row) + parseInt(seek2.dataset.row)) / 2);
+			for (const fork of forks) {
+				this._freeGridSpace(fork.row, this._gridBefore(fork), this._gridBefore(fork));
+			}
+			near = Math.round(forks.reduce((total, fork) => total + fork.row, 0) / forks.length);
 		}
 		
 		//TODO: If a forking entry has an entry which becomes it (i.e. predecessor)
 		//		then its position gets forced by that before it can be calculated...
 		
 		const row = this._calcEntryRow(entry, start, end, near);
-		entry.dataset.row = row;
+		while (parseInt(row) >= this.rows) {
+			this._addGridRow();
+		}
+		entry.row = row;
 		this._setGroupRow(entry);
 		try {
 			this._blockGridSpace(row, start, end);
@@ -74,20 +92,40 @@ class DiagramPositioner {
 			console.log(`${e}: called for ${entry.id} with row ${row}`);
 		}
 		
-		if (entry.dataset.fork) {
-			//Block again the temporarily allowed space behind the entries we are forking to
-			this._blockGridSpace(seek.dataset.row, this._yearToGrid(seek.dataset.start)-1, this._yearToGrid(seek.dataset.start)-1);
-			this._blockGridSpace(seek2.dataset.row, this._yearToGrid(seek2.dataset.start)-1, this._yearToGrid(seek2.dataset.start)-1);
+		//Block again the temporarily allowed space behind the entries we are forking to
+		for (const fork of forks) {
+			this._blockGridSpace(fork.row, this._gridBefore(fork), this._gridBefore(fork));
 		}
 	}
 	
 	/**
-	 * Provide the grid X number for a given year
-	 * @param {number} year
+	 * Free the space taken by an entry which has already been positioned, so that it can be moved or removed.
+	 * @param {object} entry
+	 */
+	clearEntry(entry) {
+		if (entry.row === undefined || !this._grid[entry.row]) return;
+		this._freeGridSpace(entry.row, this._yearToGrid(entry.start), this._yearToGrid(entry.end));
+	}
+	
+	/**
+	 * Provide the grid X number for a given date
+	 * @param {number|string} year - A year or ISO date
 	 * @return {number}
 	 */
 	_yearToGrid(year) {
-		return parseInt(year) - parseInt(this._yearStart);
+		//Small tolerance to prevent floating point error pushing exact month values into the previous unit
+		return Math.floor((parseDate(year) - parseInt(this._yearStart)) * this._resolution + 1e-6);
+	}
+	
+	/**
+	 * Provide the grid X number one step (a year, or a month for sub-year dates) before an entry starts.
+	 * This is the space used by lines joining the start of the entry, e.g. from a fork.
+	 * @param {object} entry
+	 * @return {number}
+	 */
+	_gridBefore(entry) {
+		const start = entry.start;
+		return this._yearToGrid(parseDate(start) - dateStep(start));
 	}
 	
 	/**
@@ -101,18 +139,18 @@ class DiagramPositioner {
 	/**
 	 * Set the row on entries grouped with the current entry
 	 * @protected
-	 * @param {HTMLElement} entry
+	 * @param {object} entry
 	 */
 	_setGroupRow(entry) {
-		if (entry.dataset.become) {
-			const next = document.getElementById(entry.dataset.become);
+		if (entry.become) {
+			const next = this._entries.get(entry.become);
 			
-			if(next.dataset.row) {
-				const s = next.dataset.start - this._yearStart;
-				const e = next.dataset.end - this._yearStart;
-				this._freeGridSpace(next.dataset.row, s, e);
+			if(next.row !== undefined) {
+				const s = this._yearToGrid(next.start);
+				const e = this._yearToGrid(next.end);
+				this._freeGridSpace(next.row, s, e);
 			}
-			next.dataset.row = entry.dataset.row;
+			next.row = entry.row;
 			this._setGroupRow(next);
 		}
 	}
@@ -120,15 +158,15 @@ class DiagramPositioner {
 	/**
 	 * Calculate a suitable row for an entry and return it.
 	 * @protected
-	 * @param {HTMLElement} entry - the entry
-	 * @param {number} start - the number of units (years) from the start of the X axis the entry must start
-	 * @param {number} end - the number of units (years) from the start of the X axis the entry must end
-	 * @param {HTMLElement} near - Another entry this entry should try to be near
+	 * @param {object} entry - the entry
+	 * @param {number} start - the number of grid units from the start of the X axis the entry must start
+	 * @param {number} end - the number of grid units from the start of the X axis the entry must end
+	 * @param {number} near - A row this entry should try to be near
 	 * @return {number}
 	 */
 	_calcEntryRow(entry, start, end, near = null) {
-		if (entry.dataset.row) {
-			return entry.dataset.row;
+		if (entry.row !== undefined) {
+			return entry.row;
 		}
 		if (near) {
 			return this._findNearestGridSpace(parseInt(near), start, end);
@@ -139,13 +177,13 @@ class DiagramPositioner {
 	/**
 	 * Calculate the end year of an entry's group (i.e. the end of the last entry to which it directly joins).
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @return {number}
+	 * @param {object} entry
+	 * @return {number|string}
 	 */
 	_calcGroupEnd(entry) {
-		let end = entry.dataset.end;
-		if (entry.dataset.become) {
-			end = this._calcGroupEnd(document.getElementById(entry.dataset.become));			
+		let end = entry.end;
+		if (entry.become) {
+			end = this._calcGroupEnd(this._entries.get(entry.become));			
 		}
 		return end;
 	}
@@ -200,7 +238,7 @@ class DiagramPositioner {
 	 * @protected
 	 */
 	_addGridRow() {
-		this._grid.push(new Array(this._years).fill(false));
+		this._grid.push(new Array(this._years * this._resolution).fill(false));
 	}
 	
 	/**
@@ -262,12 +300,16 @@ class DiagramPositioner {
 			n++;
 		}
 		
-		//Mark space either end to keep entries from joining, if available
-		if (start > 0) {
-			this._grid[y][start-1] = state;
+		//Mark a year's space either end to keep entries from joining, if available
+		for (let i = 1; i <= this._resolution; i++) {
+			if (start - i >= 0) {
+				this._grid[y][start-i] = state;
+			}
 		}
-		if (end < this._grid[0].length - 1) {
-			this._grid[y][end] = state;
+		for (let i = 0; i < this._resolution; i++) {
+			if (end + i < this._grid[0].length - 1) {
+				this._grid[y][end+i] = state;
+			}
 		}
 	}
 }
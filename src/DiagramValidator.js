@@ -0,0 +1,277 @@
+import {parseDate} from './util.js';
+
+/**
+ * An error thrown when validation fails in strict mode. All problems found are included.
+ */
+class TimelineValidationError extends Error {
+	/**
+	 * @param {array.<object>} problems - The problems found by the validator
+	 */
+	constructor(problems) {
+		const list = problems.map(p => ` - ${p.message}`).join("\n");
+		super(`Timeline data is invalid (${problems.length} problem${problems.length === 1 ? "" : "s"}):\n${list}`);
+		this.name = "TimelineValidationError";
+		this.problems = problems;
+	}
+}
+
+/**
+ * Checks timeline entries for problems which would prevent the diagram being drawn correctly.
+ * Every problem is reported at once, rather than failing on the first.
+ *
+ * In "strict" mode, problems are only reported.
+ * In "lenient" mode, each problem is also resolved by dropping the bad value or relation (or, where the entry
+ * itself can't be placed, the whole entry), so the rest of the diagram can still be drawn.
+ *
+ * Each problem is an object with the properties:
+ * - type: one of "missing-id", "duplicate-id", "invalid-date", "date-range", "end-before-start", "dangling-id", "fork-count", "become-cycle", "invalid-event"
+ * - id: the ID of the entry with the problem
+ * - attribute: the data attribute with the problem (if any)
+ * - message: a description of the problem
+ */
+class DiagramValidator {
+
+	/**
+	 * @param {array.<HTMLElement>|NodeList} entries - The timeline entries
+	 * @param {number} yearStart - The first year of the timeline
+	 * @param {number} yearEnd - The last year of the timeline
+	 */
+	constructor(entries, yearStart, yearEnd) {
+		this._entries = [...entries];
+		this._yearStart = yearStart;
+		this._yearEnd = yearEnd;
+		this._problems = [];
+	}
+
+	/**
+	 * Run all checks on the entries.
+	 * @param {string} [mode = strict] - Either "strict" or "lenient"
+	 * @return {object} - The valid entries (as 'entries') and the problems found (as 'problems')
+	 */
+	validate(mode = "strict") {
+		this._lenient = (mode === "lenient");
+		this._problems = [];
+
+		const valid = this._checkEntries();
+		this._ids = new Map(valid.map(e => [e.id, e]));
+
+		for (const entry of valid) {
+			this._checkRelations(entry);
+			this._checkEvents(entry);
+		}
+		this._checkBecomeCycles(valid);
+
+		return {
+			entries: valid,
+			problems: this._problems
+		};
+	}
+
+	/**
+	 * Check each entry's ID and dates. Return the entries which can be placed on the diagram.
+	 * @protected
+	 * @return {array.<HTMLElement>}
+	 */
+	_checkEntries() {
+		const seen = new Set();
+		const valid = [];
+
+		for (const entry of this._entries) {
+			if (!entry.id) {
+				this._report("missing-id", entry, "id", `An entry has no ID ("${entry.innerText}")`);
+				if (this._lenient) continue;
+			} else if (seen.has(entry.id)) {
+				this._report("duplicate-id", entry, "id", `${entry.id} is a duplicate ID`);
+				if (this._lenient) continue;
+			}
+			seen.add(entry.id);
+
+			const start = parseDate(entry.dataset.start);
+			if (isNaN(start)) {
+				this._report("invalid-date", entry, "data-start", `${entry.id} has a missing or invalid start date (${entry.dataset.start})`);
+				if (this._lenient) continue;
+			} else if (start < this._yearStart || start > this._yearEnd) {
+				this._report("date-range", entry, "data-start", `${entry.id} starts in ${entry.dataset.start}, outside the timeline (${this._yearStart} - ${this._yearEnd})`);
+				if (this._lenient) continue;
+			}
+
+			if (entry.dataset.end) {
+				const end = parseDate(entry.dataset.end);
+				if (isNaN(end)) {
+					this._report("invalid-date", entry, "data-end", `${entry.id} has an invalid end date (${entry.dataset.end})`);
+					this._drop(entry, "end");
+				} else if (end < start) {
+					this._report("end-before-start", entry, "data-end", `${entry.id} ends (${entry.dataset.end}) before it starts (${entry.dataset.start})`);
+					this._drop(entry, "end");
+				} else if (end > this._yearEnd) {
+					this._report("date-range", entry, "data-end", `${entry.id} ends in ${entry.dataset.end}, after the end of the timeline (${this._yearEnd})`);
+					this._drop(entry, "end");
+				}
+			}
+			valid.push(entry);
+		}
+		return valid;
+	}
+
+	/**
+	 * Check that all IDs referenced by the entry exist, and forks have at least two IDs.
+	 * In lenient mode, non-existent IDs are removed from lists of IDs, and a fork is removed entirely if fewer than two IDs are left.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 */
+	_checkRelations(entry) {
+		for (const attr of ["become", "split"]) {
+			if (!entry.dataset.hasOwnProperty(attr)) continue;
+			if (!this._ids.has(entry.dataset[attr])) {
+				this._report("dangling-id", entry, `data-${attr}`, `${entry.id} has data-${attr} with non-existent ID ${entry.dataset[attr]}`);
+				this._drop(entry, attr);
+			}
+		}
+
+		if (entry.dataset.hasOwnProperty("fork")) {
+			const forks = this._splitIds(entry.dataset.fork);
+			const valid = forks.filter(id => this._ids.has(id));
+
+			for (const id of forks.filter(id => !this._ids.has(id))) {
+				this._report("dangling-id", entry, "data-fork", `${entry.id} has data-fork with non-existent ID ${id}`);
+			}
+			if (valid.length < 2) {
+				const count = (valid.length === forks.length ? `${forks.length} IDs` : `only ${valid.length} existing`);
+				this._report("fork-count", entry, "data-fork", `${entry.id} has data-fork with ${count} (at least two are required)`);
+				this._drop(entry, "fork");
+			} else if (this._lenient && valid.length !== forks.length) {
+				entry.dataset.fork = valid.join(" ");
+			}
+		}
+
+		for (const attr of ["merge", "from", "links"]) {
+			if (!entry.dataset.hasOwnProperty(attr)) continue;
+			const ids = this._splitIds(entry.dataset[attr]);
+			const valid = [];
+			for (const id of ids) {
+				if (this._ids.has(id)) {
+					valid.push(id);
+				} else if (attr === "links") {
+					this._report("dangling-id", entry, "data-links", `${entry.id} links to non-existent ID ${id}`);
+				} else {
+					this._report("dangling-id", entry, `data-${attr}`, `${entry.id} has data-${attr} with non-existent ID ${id}`);
+				}
+			}
+			if (this._lenient && valid.length !== ids.length) {
+				if (valid.length > 0) {
+					entry.dataset[attr] = valid.join(" ");
+				} else {
+					delete entry.dataset[attr];
+				}
+			}
+		}
+	}
+
+	/**
+	 * Check the entry's data-events is a JSON array of events, each with a label and a date in the timeline.
+	 * In lenient mode, invalid events are removed (or the whole attribute, if it can't be read).
+	 * @protected
+	 * @param {HTMLElement} entry
+	 */
+	_checkEvents(entry) {
+		if (!entry.dataset.hasOwnProperty("events")) return;
+
+		let events;
+		try {
+			events = JSON.parse(entry.dataset.events);
+		} catch (e) {
+			events = null;
+		}
+		if (!Array.isArray(events)) {
+			this._report("invalid-event", entry, "data-events", `${entry.id} has data-events which isn't a JSON array of events`);
+			this._drop(entry, "events");
+			return;
+		}
+
+		const valid = events.filter(event => {
+			const date = parseDate(event?.date);
+			if (!event?.label) {
+				this._report("invalid-event", entry, "data-events", `${entry.id} has an event without a label`);
+			} else if (isNaN(date)) {
+				this._report("invalid-event", entry, "data-events", `${entry.id} has an event (${event.label}) with a missing or invalid date (${event.date})`);
+			} else if (date < this._yearStart || date > this._yearEnd) {
+				this._report("date-range", entry, "data-events", `${entry.id} has an event (${event.label}) in ${event.date}, outside the timeline (${this._yearStart} - ${this._yearEnd})`);
+			} else {
+				return true;
+			}
+			return false;
+		});
+		if (this._lenient && valid.length !== events.length) {
+			entry.dataset.events = JSON.stringify(valid);
+		}
+	}
+
+	/**
+	 * Check for chains of data-become which loop back on themselves.
+	 * In lenient mode, the cycle is broken at the entry which closes it.
+	 * @protected
+	 * @param {array.<HTMLElement>} entries
+	 */
+	_checkBecomeCycles(entries) {
+		const checked = new Set();
+
+		for (const entry of entries) {
+			const chain = [];
+			let current = entry;
+
+			while (current && !checked.has(current.id)) {
+				if (chain.includes(current)) {
+					const last = chain[chain.length - 1];
+					const cycle = chain.slice(chain.indexOf(current)).map(e => e.id);
+					this._report("become-cycle", last, "data-become", `${last.id} is part of a data-become cycle: ${cycle.join(" → ")} → ${current.id}`);
+					this._drop(last, "become");
+					break;
+				}
+				chain.push(current);
+				current = (current.dataset.become ? this._ids.get(current.dataset.become) : null);
+			}
+			chain.forEach(e => checked.add(e.id));
+		}
+	}
+
+	/**
+	 * Record a problem.
+	 * @protected
+	 * @param {string} type
+	 * @param {HTMLElement} entry
+	 * @param {string} attribute
+	 * @param {string} message
+	 */
+	_report(type, entry, attribute, message) {
+		this._problems.push({
+			type: type,
+			id: entry.id,
+			attribute: attribute,
+			message: message
+		});
+	}
+
+	/**
+	 * Remove a data attribute from an entry, if in lenient mode.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @param {string} attr - the dataset property name
+	 */
+	_drop(entry, attr) {
+		if (this._lenient) {
+			delete entry.dataset[attr];
+		}
+	}
+
+	/**
+	 * Split a space-separated list of IDs.
+	 * @protected
+	 * @param {string} list
+	 * @return {array.<string>}
+	 */
+	_splitIds(list) {
+		return list.split(" ").filter(id => id !== "");
+	}
+}
+
+export {TimelineValidationError, DiagramValidator}
@@ -0,0 +1,129 @@
+/**
+ * The gap in px between a popover and the entry it is for, or the edge of the area it is kept within
+ */
+const gap = 5;
+
+/**
+ * A popover with the details of an entry: its full name, its exact dates, its relations to other entries described in words
+ * (see TextView#describe()), and any description given for it.
+ *
+ * A description can be given in a data-description attribute (as plain text), or as HTML in a <template> element in the entry,
+ * which is copied into the popover.
+ * The popover is positioned on screen (with fixed positioning) next to the entry, and kept within the area given, so it can be
+ * kept inside a panzoom viewport.
+ */
+class EntryPopover {
+
+	/**
+	 * @param {string} id - The ID of the popover element. Entries are linked to it with aria-describedby while it is shown for them.
+	 */
+	constructor(id) {
+		this._element = document.createElement("div");
+		this._element.id = id;
+		this._element.classList.add("timeline-popover");
+		this._element.setAttribute("role", "tooltip");
+		this._element.hidden = true;
+		this._entry = null;
+	}
+
+	/**
+	 * Get the popover element, to be added to the document.
+	 * @return {HTMLElement}
+	 */
+	get element() {
+		return this._element;
+	}
+
+	/**
+	 * Get the entry element the popover is shown for.
+	 * @return {HTMLElement|null} - The entry, or null if the popover is hidden
+	 */
+	get entry() {
+		return this._entry;
+	}
+
+	/**
+	 * Fill the popover with the details of an entry, and show it for the entry.
+	 * @param {HTMLElement} element - The entry element
+	 * @param {object} entry - The entry, as returned by Diagram#getEntries()
+	 * @param {TextView} view - A text view of the entries, to describe the entry's dates and relations
+	 */
+	show(element, entry, view) {
+		const content = document.createDocumentFragment();
+		const add = (tag, cssClass, text) => {
+			const el = document.createElement(tag);
+			el.classList.add(cssClass);
+			el.append(document.createTextNode(text));
+			content.append(el);
+			return el;
+		};
+
+		add("strong", "timeline-popover-name", entry.name);
+		add("p", "timeline-popover-dates", view.describeDates(entry.id) + (entry.group !== null ? ` (${entry.group})` : ""));
+		const relations = view.describe(entry.id);
+		if (relations) {
+			add("p", "timeline-popover-relations", relations);
+		}
+
+		const template = element.querySelector(":scope > template");
+		if (template) {
+			const description = add("div", "timeline-popover-description", "");
+			description.append(template.content.cloneNode(true));
+		} else if (element.dataset.description) {
+			add("p", "timeline-popover-description", element.dataset.description);
+		}
+
+		this._element.replaceChildren(content);
+		this._element.hidden = false;
+		if (this._entry && this._entry !== element) {
+			this._entry.removeAttribute("aria-describedby");
+		}
+		this._entry = element;
+		element.setAttribute("aria-describedby", this._element.id);
+	}
+
+	/**
+	 * Position the popover next to the box of its entry on screen: below it if there is space, otherwise above it,
+	 * and moved along to stay within the area given.
+	 * @param {object} box - The entry's box on screen, with 'left', 'top', 'right' and 'bottom' in px
+	 * @param {object} bounds - The area of the screen to keep the popover within, with 'left', 'top', 'right' and 'bottom' in px
+	 */
+	position(box, bounds) {
+		const width = this._element.offsetWidth;
+		const height = this._element.offsetHeight;
+
+		let placement = "below";
+		let top = box.bottom + gap;
+		if (top + height > bounds.bottom - gap && box.top - gap - height >= bounds.top + gap) {
+			placement = "above";
+			top = box.top - gap - height;
+		}
+		const left = Math.max(bounds.left + gap, Math.min(box.left, bounds.right - gap - width));
+
+		this._element.style.left = left + "px";
+		this._element.style.top = top + "px";
+		this._element.dataset.placement = placement;
+	}
+
+	/**
+	 * Hide the popover.
+	 */
+	hide() {
+		if (this._entry) {
+			this._entry.removeAttribute("aria-describedby");
+		}
+		this._entry = null;
+		this._element.hidden = true;
+		this._element.replaceChildren();
+	}
+
+	/**
+	 * Hide the popover and remove it from the document.
+	 */
+	remove() {
+		this.hide();
+		this._element.remove();
+	}
+}
+
+export default EntryPopover
@@ -0,0 +1,222 @@
+/**
+ * The base score for each kind of match, from best to worst
+ */
+const matchScores = {
+	exact: 100,
+	prefix: 90,
+	word: 80,
+	substring: 70,
+	acronym: 60,
+	fuzzy: 50
+};
+
+/**
+ * The amount taken from the score for each typo in a fuzzy match
+ */
+const typoPenalty = 10;
+
+/**
+ * The amount taken from the score of a match on each field, so names rank above aliases, and aliases above IDs
+ */
+const fieldPenalties = {
+	name: 0,
+	alias: 5,
+	id: 10
+};
+
+/**
+ * Ranked search of entries by name, aliases and ID, for the find form.
+ *
+ * Matching ignores case and diacritics (so "sinn fein" finds "Sinn Féin"). In order of relevance, the search can match
+ * the whole text, the start of it, the start of a word, anywhere in it, the initials of its words (so "CPI" finds "Communist Party of Ireland"),
+ * or, for longer searches, anywhere with a small number of typos.
+ * This doesn't use the DOM, so entries are passed as plain objects.
+ */
+class EntrySearch {
+
+	/**
+	 * @param {array.<object>} entries - The entries to search, each with an 'id', 'name' and optional array of 'aliases'
+	 */
+	constructor(entries) {
+		this._entries = entries.map(entry => {
+			const fields = [
+				{ field: "name", text: entry.name },
+				...(entry.aliases || []).map(alias => ({ field: "alias", text: alias })),
+				{ field: "id", text: entry.id }
+			];
+			for (const field of fields) {
+				Object.assign(field, EntrySearch.normalise(field.text));
+			}
+			return { entry: entry, fields: fields };
+		});
+	}
+
+	/**
+	 * Normalise text for matching: lower case, and without diacritics.
+	 * The position in the original text of each character of the result is also returned, so matches can be mapped back to it.
+	 * @param {string} text
+	 * @return {object} - With the normalised 'value', and the 'starts' and 'ends' in the original text of each of its characters
+	 */
+	static normalise(text) {
+		const result = { value: "", starts: [], ends: [] };
+		let i = 0;
+		for (const char of text) {
+			const normalised = char.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+			for (let j = 0; j < normalised.length; j++) {
+				result.starts.push(i);
+				result.ends.push(i + char.length);
+			}
+			result.value += normalised;
+			i += char.length;
+		}
+		return result;
+	}
+
+	/**
+	 * Find the entries matching a search, ordered by relevance.
+	 * @param {string} search
+	 * @return {array.<object>} - For each matching entry: its 'id' and 'name', the 'field' matched ("name", "alias" or "id"),
+	 * 		the 'text' of the field, the 'ranges' of the text matched (each an array of start and end index), and the 'score'
+	 */
+	search(search) {
+		const query = EntrySearch.normalise(search.trim().replace(/\s+/g, " ")).value;
+		if (query === "") return [];
+
+		const results = [];
+		for (const {entry, fields} of this._entries) {
+			let best = null;
+			for (const field of fields) {
+				const match = this._match(query, field.value);
+				if (!match) continue;
+
+				const score = match.score - fieldPenalties[field.field];
+				if (!best || score > best.score) {
+					best = {
+						id: entry.id,
+						name: entry.name,
+						field: field.field,
+						text: field.text,
+						ranges: match.ranges.map(([start, end]) => [field.starts[start], field.ends[end - 1]]),
+						score: score
+					};
+				}
+			}
+			if (best) {
+				results.push(best);
+			}
+		}
+
+		return results.sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Match a search against normalised text, trying each kind of match in order of relevance.
+	 * @protected
+	 * @param {string} query - The normalised search
+	 * @param {string} text - The normalised text
+	 * @return {object|null} - The 'score' and the 'ranges' of the text matched, or null if it doesn't match
+	 */
+	_match(query, text) {
+		if (text === query) {
+			return { score: matchScores.exact, ranges: [[0, text.length]] };
+		}
+
+		const index = text.indexOf(query);
+		if (index === 0) {
+			return { score: matchScores.prefix, ranges: [[0, query.length]] };
+		}
+		if (index > 0) {
+			const type = (this._isWordStart(text, index) ? "word" : "substring");
+			return { score: matchScores[type], ranges: [[index, index + query.length]] };
+		}
+
+		return this._matchAcronym(query, text) || this._matchFuzzy(query, text);
+	}
+
+	/**
+	 * Match a search against the initials of the words in the text. Initials can be skipped (e.g. for "of"), but not the first.
+	 * @protected
+	 * @param {string} query - The normalised search
+	 * @param {string} text - The normalised text
+	 * @return {object|null}
+	 */
+	_matchAcronym(query, text) {
+		const letters = query.replace(/[^\p{L}\p{N}]/gu, "");
+		if (letters.length < 2) return null;
+
+		const initials = [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(word => word.index);
+		if (initials.length < letters.length || text[initials[0]] !== letters[0]) return null;
+
+		const ranges = [];
+		let i = 0;
+		for (const index of initials) {
+			if (i < letters.length && text[index] === letters[i]) {
+				ranges.push([index, index + 1]);
+				i++;
+			}
+		}
+		if (i < letters.length) return null;
+
+		//Skipped initials make the match less likely to be the one wanted
+		return { score: matchScores.acronym - (initials.length - letters.length), ranges: ranges };
+	}
+
+	/**
+	 * Match a search anywhere in the text with a small number of typos (letters added, missed, changed or swapped).
+	 * The number allowed depends on the length of the search, and short searches must match exactly.
+	 * @protected
+	 * @param {string} query - The normalised search
+	 * @param {string} text - The normalised text
+	 * @return {object|null}
+	 */
+	_matchFuzzy(query, text) {
+		const allowed = (query.length <= 3 ? 0 : (query.length <= 6 ? 1 : 2));
+		if (allowed === 0) return null;
+
+		//Edit distance between the query and the best matching part of the text, which can start anywhere (so the first row is all 0).
+		//The start in the text of the match ending at each point is kept with it.
+		const m = query.length;
+		const n = text.length;
+		const dist = [new Array(n + 1).fill(0)];
+		const starts = [[...Array(n + 1).keys()]];
+		for (let i = 1; i <= m; i++) {
+			dist.push([i]);
+			starts.push([0]);
+			for (let j = 1; j <= n; j++) {
+				const options = [
+					[dist[i-1][j-1] + (query[i-1] === text[j-1] ? 0 : 1), starts[i-1][j-1]],
+					[dist[i-1][j] + 1, starts[i-1][j]],
+					[dist[i][j-1] + 1, starts[i][j-1]]
+				];
+				if (i > 1 && j > 1 && query[i-1] === text[j-2] && query[i-2] === text[j-1]) {
+					options.push([dist[i-2][j-2] + 1, starts[i-2][j-2]]);
+				}
+				const [d, start] = options.reduce((a, b) => (b[0] < a[0] ? b : a));
+				dist[i].push(d);
+				starts[i].push(start);
+			}
+		}
+
+		let end = 0;
+		for (let j = 1; j <= n; j++) {
+			if (dist[m][j] < dist[m][end]) end = j;
+		}
+		const typos = dist[m][end];
+		if (typos > allowed || end === starts[m][end]) return null;
+
+		return { score: matchScores.fuzzy - typos * typoPenalty, ranges: [[starts[m][end], end]] };
+	}
+
+	/**
+	 * Check if a position in the text is the start of a word.
+	 * @protected
+	 * @param {string} text
+	 * @param {number} index
+	 * @return {boolean}
+	 */
+	_isWordStart(text, index) {
+		return index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+	}
+}
+
+export default EntrySearch
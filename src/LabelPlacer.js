@@ -0,0 +1,259 @@
+import {entryText} from './util.js';
+
+/**
+ * The gap in px between a label and its entry's box or line
+ */
+const gap = 3;
+
+/**
+ * The minimum width in px of a label truncated along its entry's line. If there is less space, the label isn't shown.
+ */
+const minTruncatedWidth = 30;
+
+/**
+ * Chooses where to show the name of each entry which doesn't fit in the entry's box.
+ *
+ * A name fits if, wrapped to the width of the box, it has no more lines than fit the box's height, and no word is wider than the box.
+ * Names of full size entries which don't fit are truncated in their box, to the lines which fit.
+ * Short entries (see DiagramLayout#getBox()) are too small to show their name, so it is placed outside the box, in free space:
+ * along the entry's line after the box ("line"), or above or below the box ("above" and "below", or "left" and "right" if the diagram is vertical).
+ * Space is free if it's inside the rows of the diagram, and not taken by another entry's box or line, or another label.
+ * If none of these have space, the name is truncated along the line if there is enough room, and otherwise not shown.
+ *
+ * Labels are placed in the order the entries are given, so earlier entries get the best places.
+ * Boxes and lines are found in each row (or column) of the diagram, so only those nearby are checked.
+ * Text is measured with the function given, so this doesn't need the DOM.
+ */
+class LabelPlacer {
+
+	/**
+	 * @param {DiagramLayout} layout - The layout of the entries
+	 * @param {function} measure - A function which returns the width in px of a string, in the font of the entries
+	 * @param {object} config - The layout config (see DiagramLayout)
+	 */
+	constructor(layout, measure, config) {
+		this._layout = layout;
+		this._measure = measure;
+		this._config = config;
+		this._vertical = (config.orientation === "vertical");
+		this._rows = new Map();
+	}
+
+	/**
+	 * Place the labels of the given entries.
+	 * @param {array.<object>} entries - Each with the entry's 'id' and 'name'
+	 * @return {Map.<string, object>} - The label of each entry whose name doesn't fit in its box, by ID, with the properties:
+	 * 		- placement: "inside" (truncated in the box), "line", "above", "below", "left" or "right", or null if it isn't shown
+	 * 		- truncated: whether the name is cut short, with an ellipsis
+	 * 		- lines: the number of lines shown in the box, if inside
+	 * 		- x, y, w, h: the position and size of the label in px, if outside the box
+	 */
+	place(entries) {
+		const boxes = new Map(entries.map(entry => [entry.id, this._layout.getBox(entry.id)]));
+		this._rows.clear();
+		for (const entry of entries) {
+			const box = boxes.get(entry.id);
+			this._addObstacle(box);
+			const line = this._getLine(entry.id, box);
+			if (line) this._addObstacle(line);
+		}
+
+		const labels = new Map();
+		for (const entry of entries) {
+			const box = boxes.get(entry.id);
+			const label = (box.min ? this._placeOutside(entry.name, box) : this._placeInside(entry.name, box));
+			if (label) {
+				labels.set(entry.id, label);
+			}
+		}
+		return labels;
+	}
+
+	/**
+	 * Check if a name fits in a full size box, and if not, truncate it to the lines which fit.
+	 * @protected
+	 * @param {string} name
+	 * @param {object} box
+	 * @return {object|null} - The label, or null if the name fits
+	 */
+	_placeInside(name, box) {
+		const width = box.w - entryText.inset*2;
+		const lines = Math.max(1, Math.floor((box.h - entryText.inset*2) / entryText.lineHeight));
+		const wrapped = this._wrap(name, width);
+		if (wrapped.length <= lines && wrapped.every(line => this._measure(line) <= width)) {
+			return null;
+		}
+		return { placement: "inside", truncated: true, lines: lines };
+	}
+
+	/**
+	 * Place the label of a short entry outside its box, in the first of the candidate places with space for it.
+	 * @protected
+	 * @param {string} name
+	 * @param {object} box
+	 * @return {object}
+	 */
+	_placeOutside(name, box) {
+		const w = this._measure(name) + entryText.labelPadding*2;
+		const h = entryText.lineHeight;
+
+		for (const candidate of this._getCandidates(box, w, h)) {
+			if (this._getFreeWidth(candidate, w) >= w) {
+				return this._addLabel(Object.assign(candidate, { w: w, truncated: false }));
+			}
+		}
+
+		const line = this._getCandidates(box, w, h)[0];
+		const free = this._getFreeWidth(line, w);
+		if (free >= minTruncatedWidth) {
+			return this._addLabel(Object.assign(line, { w: free, truncated: true }));
+		}
+		return { placement: null, truncated: true };
+	}
+
+	/**
+	 * Get the places to try for a label outside an entry box, in order of preference.
+	 * The text runs across the screen in either orientation, so along the line of a vertical diagram it is beside the line.
+	 * @protected
+	 * @param {object} box
+	 * @param {number} w - The width of the label
+	 * @param {number} h - The height of the label
+	 * @return {array.<object>} - Each with the 'placement', and 'x', 'y' and 'h' of the label
+	 */
+	_getCandidates(box, w, h) {
+		const stroke = this._config.strokeWidth;
+		const centre = { x: box.x + box.w/2, y: box.y + box.h/2 };
+
+		if (this._vertical) {
+			return [
+				{ placement: "line", x: centre.x + stroke/2 + gap, y: box.y + box.h + gap, h: h },
+				{ placement: "left", x: box.x - gap - w, y: centre.y - h/2, h: h },
+				{ placement: "right", x: box.x + box.w + gap, y: centre.y - h/2, h: h }
+			];
+		}
+		return [
+			{ placement: "line", x: box.x + box.w + gap, y: centre.y - stroke/2 - h, h: h },
+			{ placement: "above", x: centre.x - w/2, y: box.y - gap - h, h: h },
+			{ placement: "below", x: centre.x - w/2, y: box.y + box.h + gap, h: h }
+		];
+	}
+
+	/**
+	 * Get the width of free space from the start of a label, up to the next box, line or label beside it, or the edge of the rows.
+	 * @protected
+	 * @param {object} rect - The 'x', 'y' and 'h' of the label
+	 * @param {number} max - The most space needed
+	 * @return {number} - The width in px, up to the most needed, or 0 if the label starts in a taken space or outside the rows
+	 */
+	_getFreeWidth(rect, max) {
+		const size = this._layout.getSize();
+		//The first and last rows (or columns) are the date axes
+		const first = this._config.rowHeight;
+		const last = (this._layout.rows + 1) * this._config.rowHeight;
+		const [start, end] = (this._vertical ? [rect.x, last] : [rect.y, rect.y + rect.h]);
+		if (start < first || end > last || rect.x < 0 || rect.y < 0 || rect.y + rect.h > size.height) {
+			return 0;
+		}
+
+		let free = Math.min(max, (this._vertical ? last : size.width) - rect.x);
+		for (const obstacle of this._getObstacles(Object.assign({ w: free }, rect))) {
+			if (obstacle.y >= rect.y + rect.h || obstacle.y + obstacle.h <= rect.y || obstacle.x + obstacle.w <= rect.x) continue;
+			if (obstacle.x <= rect.x) return 0;
+			free = Math.min(free, obstacle.x - rect.x - gap);
+		}
+		return Math.max(free, 0);
+	}
+
+	/**
+	 * Get the line of an entry after its box, up to its end, as a rectangle the width of the stroke.
+	 * @protected
+	 * @param {string} id
+	 * @param {object} box
+	 * @return {object|null} - x, y, w and h, or null if the line ends within the box
+	 */
+	_getLine(id, box) {
+		const end = this._layout.getPoint(id, box.end);
+		const stroke = this._config.strokeWidth;
+		if (this._vertical) {
+			return (end.y > box.y + box.h ? { x: end.x - stroke/2, y: box.y + box.h, w: stroke, h: end.y - box.y - box.h } : null);
+		}
+		return (end.x > box.x + box.w ? { x: box.x + box.w, y: end.y - stroke/2, w: end.x - box.x - box.w, h: stroke } : null);
+	}
+
+	/**
+	 * Add a placed label as an obstacle to later labels.
+	 * @protected
+	 * @param {object} label
+	 * @return {object} - The label
+	 */
+	_addLabel(label) {
+		this._addObstacle(label);
+		return label;
+	}
+
+	/**
+	 * Add a taken space to each row (or column) it covers.
+	 * @protected
+	 * @param {object} rect - x, y, w and h
+	 */
+	_addObstacle(rect) {
+		for (const row of this._getRowRange(rect)) {
+			if (!this._rows.has(row)) {
+				this._rows.set(row, []);
+			}
+			this._rows.get(row).push(rect);
+		}
+	}
+
+	/**
+	 * Get the taken spaces in the rows (or columns) a space covers.
+	 * @protected
+	 * @param {object} rect - x, y, w and h
+	 * @return {Set.<object>}
+	 */
+	_getObstacles(rect) {
+		const found = new Set();
+		for (const row of this._getRowRange(rect)) {
+			(this._rows.get(row) || []).forEach(obstacle => found.add(obstacle));
+		}
+		return found;
+	}
+
+	/**
+	 * Get the rows (or columns, if the diagram is vertical) a space covers.
+	 * @protected
+	 * @param {object} rect - x, y, w and h
+	 * @return {array.<number>}
+	 */
+	_getRowRange(rect) {
+		const [from, size] = (this._vertical ? [rect.x, rect.w] : [rect.y, rect.h]);
+		const first = Math.floor(from / this._config.rowHeight);
+		const last = Math.floor((from + size) / this._config.rowHeight);
+		return Array.from(Array(last - first + 1), (_, i) => first + i);
+	}
+
+	/**
+	 * Split text into lines which fit the given width, breaking between words.
+	 * @protected
+	 * @param {string} str
+	 * @param {number} width
+	 * @return {array.<string>}
+	 */
+	_wrap(str, width) {
+		const lines = [];
+		let line = "";
+		for (const word of str.split(/\s+/)) {
+			const next = (line ? line + " " + word : word);
+			if (line && this._measure(next) > width) {
+				lines.push(line);
+				line = word;
+			} else {
+				line = next;
+			}
+		}
+		lines.push(line);
+		return lines;
+	}
+}
+
+export default LabelPlacer
@@ -0,0 +1,405 @@
+import DiagramPositioner from './DiagramPositioner.js';
+import {parseDate, dateStep} from './util.js';
+
+/**
+ * The cost of a connector crossing another connector or an entry, relative to the cost of each row a connector spans.
+ */
+const crossingCost = 3;
+
+/**
+ * The number of rows either side of a group (and the entries it is joined to) in which to look for a better row.
+ */
+const searchRows = 20;
+
+/**
+ * The maximum number of passes over the entries when optimising.
+ */
+const maxPasses = 10;
+
+/**
+ * A positioner which improves on the rows found by DiagramPositioner, to reduce connector crossings and length.
+ *
+ * Entries are first positioned as by DiagramPositioner. Then each group of entries (those joined by data-become, which share a row)
+ * is moved to the nearby row with the lowest cost, where there is space for it. The cost is the number of rows spanned by the connectors
+ * (splits, merges, forks and links) joining the group, plus a penalty for each crossing of a connector with another connector or an entry.
+ * This is repeated until no move lowers the cost.
+ * Groups with a manually set row are never moved.
+ */
+class OptimisedPositioner extends DiagramPositioner {
+
+	/**
+	 * Optimise the rows of the given entries, after they have been positioned with setEntryRow().
+	 * Only the groups of these entries are moved; all other entries are left in place.
+	 * @param {array.<object>} entries
+	 * @param {Set.<string>} pinned - The IDs of entries with a manually set row
+	 */
+	optimise(entries, pinned) {
+		this._buildModel(pinned);
+
+		const groups = [...new Set(entries.map(e => this._groupOf.get(e.id)))]
+			.filter(g => g && !g.pinned)
+			.sort((a, b) => a.start - b.start);
+
+		for (let pass = 0; pass < maxPasses; pass++) {
+			let moved = false;
+			for (const group of groups) {
+				if (this._improve(group)) {
+					moved = true;
+				}
+			}
+			if (!moved) break;
+		}
+		this._trimRows();
+	}
+
+	/**
+	 * Build the groups of entries, and the connectors between them, used to calculate the cost of each position.
+	 * @protected
+	 * @param {Set.<string>} pinned
+	 */
+	_buildModel(pinned) {
+		this._groupOf = new Map();
+		this._rowGroups = new Map();
+		const groups = [];
+
+		//Groups start with the entries which no other entry becomes
+		const targets = new Set([...this._entries.values()].filter(e => e.become).map(e => e.become));
+		for (const head of this._entries.values()) {
+			if (targets.has(head.id)) continue;
+
+			const group = {
+				row: head.row,
+				members: [],
+				start: parseDate(head.start),
+				cells: [this._yearToGrid(head.start), this._yearToGrid(this._calcGroupEnd(head))],
+				pinned: false,
+				incident: new Set(),
+				passing: []
+			};
+			for (let entry = head; entry; entry = this._entries.get(entry.become)) {
+				group.members.push({ id: entry.id, start: parseDate(entry.start), end: parseDate(entry.end), forks: entry.fork || [] });
+				group.pinned = group.pinned || pinned.has(entry.id);
+				this._groupOf.set(entry.id, group);
+			}
+			groups.push(group);
+			this._addToRow(group);
+		}
+
+		this._buildConnectors();
+
+		for (const c of this._connectors) {
+			this._groupOf.get(c.a).incident.add(c);
+			this._groupOf.get(c.b).incident.add(c);
+		}
+
+		//Connectors which cross the line of each group if it is between their ends, found by searching the connectors in time order
+		const byTime = [...this._connectors].sort((a, b) => a.time - b.time);
+		for (const group of groups) {
+			for (const member of group.members) {
+				let i = this._search(byTime, member.start);
+				for (; i < byTime.length && byTime[i].time < member.end; i++) {
+					if (!group.incident.has(byTime[i])) {
+						group.passing.push(byTime[i]);
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Create the connectors between entries, in terms of entry IDs and dates.
+	 * Each connector joins entry 'a' at date 't1' to entry 'b' at date 't2', and crosses other rows at 'time'.
+	 * Connectors are also given the list of other connectors which overlap them in time, as only these can cross.
+	 * @protected
+	 */
+	_buildConnectors() {
+		const connectors = [];
+		const add = (a, b, t1, t2) => {
+			if (!this._groupOf.has(a) || !this._groupOf.has(b)) return;
+			connectors.push({
+				index: connectors.length,
+				a: a,
+				b: b,
+				t1: t1,
+				t2: t2,
+				time: (t1 + t2) / 2,
+				low: Math.min(t1, t2),
+				high: Math.max(t1, t2),
+				overlaps: []
+			});
+		};
+
+		for (const entry of this._entries.values()) {
+			const start = parseDate(entry.start);
+			const end = parseDate(entry.end);
+			const step = dateStep(entry.end);
+
+			if (entry.split) add(entry.split, entry.id, start, start);
+			for (const id of (entry.merge || [])) add(entry.id, id, end - step, end);
+			for (const id of (entry.from || [])) add(id, entry.id, start - step, start);
+			for (const id of (entry.fork || [])) add(entry.id, id, end, end + step);
+			for (const id of (entry.links || [])) add(entry.id, id, start, start);
+		}
+
+		const sorted = [...connectors].sort((a, b) => a.low - b.low);
+		for (let i = 0; i < sorted.length; i++) {
+			for (let j = i + 1; j < sorted.length && sorted[j].low <= sorted[i].high; j++) {
+				sorted[i].overlaps.push(sorted[j]);
+				sorted[j].overlaps.push(sorted[i]);
+			}
+		}
+		this._connectors = connectors;
+	}
+
+	/**
+	 * Find the index of the first connector at or after the given time, in connectors sorted by time.
+	 * @protected
+	 * @param {array.<object>} connectors
+	 * @param {number} time
+	 * @return {number}
+	 */
+	_search(connectors, time) {
+		let low = 0, high = connectors.length;
+		while (low < high) {
+			const mid = (low + high) >> 1;
+			if (connectors[mid].time < time) {
+				low = mid + 1;
+			} else {
+				high = mid;
+			}
+		}
+		return low;
+	}
+
+	/**
+	 * Move a group to the row with the lowest cost, if it is lower than the cost of its current row.
+	 * @protected
+	 * @param {object} group
+	 * @return {boolean} - Whether the group was moved
+	 */
+	_improve(group) {
+		const current = group.row;
+		this._removeGroup(group);
+
+		let best = current;
+		let bestCost = this._cost(group, current);
+		for (const row of this._candidateRows(group)) {
+			if (row === current || !this._fits(group, row)) continue;
+			const cost = this._cost(group, row);
+			if (cost < bestCost) {
+				best = row;
+				bestCost = cost;
+			}
+		}
+
+		this._placeGroup(group, best);
+		return best !== current;
+	}
+
+	/**
+	 * Get the rows to try for a group: those between the rows of the entries it is joined to, and up to searchRows beyond.
+	 * @protected
+	 * @param {object} group
+	 * @return {array.<number>}
+	 */
+	_candidateRows(group) {
+		let low = group.row;
+		let high = group.row;
+		for (const c of group.incident) {
+			for (const id of [c.a, c.b]) {
+				low = Math.min(low, this._entries.get(id).row);
+				high = Math.max(high, this._entries.get(id).row);
+			}
+		}
+		const rows = [];
+		for (let row = Math.max(0, low - searchRows); row <= Math.min(this.rows - 1, high + searchRows); row++) {
+			rows.push(row);
+		}
+		return rows;
+	}
+
+	/**
+	 * Calculate the cost of the connectors affected by a group, if it is placed in the given row.
+	 * @protected
+	 * @param {object} group
+	 * @param {number} row
+	 * @return {number}
+	 */
+	_cost(group, row) {
+		const rowOf = (id) => (this._groupOf.get(id) === group ? row : this._entries.get(id).row);
+		let cost = 0;
+
+		for (const c of group.incident) {
+			const r1 = rowOf(c.a);
+			const r2 = rowOf(c.b);
+			cost += Math.abs(r1 - r2);
+			cost += crossingCost * this._entryCrossings(c, r1, r2, group);
+
+			for (const d of c.overlaps) {
+				//Count crossings between two of the group's connectors only once
+				if (group.incident.has(d) && d.index < c.index) continue;
+				if (this._crosses(c, r1, r2, d, rowOf(d.a), rowOf(d.b))) {
+					cost += crossingCost;
+				}
+			}
+		}
+
+		for (const d of group.passing) {
+			const r1 = this._entries.get(d.a).row;
+			const r2 = this._entries.get(d.b).row;
+			if (row > Math.min(r1, r2) && row < Math.max(r1, r2)) {
+				cost += crossingCost;
+			}
+		}
+		return cost;
+	}
+
+	/**
+	 * Count the entries (other than the given group) whose lines a connector crosses, in the rows between its ends.
+	 * @protected
+	 * @param {object} c - The connector
+	 * @param {number} r1 - The row of the start of the connector
+	 * @param {number} r2 - The row of the end of the connector
+	 * @param {object} group - The group being moved
+	 * @return {number}
+	 */
+	_entryCrossings(c, r1, r2, group) {
+		let count = 0;
+		for (let row = Math.min(r1, r2) + 1; row < Math.max(r1, r2); row++) {
+			for (const other of (this._rowGroups.get(row) || [])) {
+				if (other === group) continue;
+				for (const member of other.members) {
+					if (member.start <= c.time && c.time < member.end && member.id !== c.a && member.id !== c.b) {
+						count++;
+					}
+				}
+			}
+		}
+		return count;
+	}
+
+	/**
+	 * Check if two connectors cross, given the rows of their ends.
+	 * Connectors joining the same entry meet rather than cross, so aren't counted. Connectors which overlap along the same line are.
+	 * @protected
+	 * @param {object} c
+	 * @param {number} cr1
+	 * @param {number} cr2
+	 * @param {object} d
+	 * @param {number} dr1
+	 * @param {number} dr2
+	 * @return {boolean}
+	 */
+	_crosses(c, cr1, cr2, d, dr1, dr2) {
+		if (c.a === d.a || c.a === d.b || c.b === d.a || c.b === d.b) return false;
+
+		const p1 = { t: c.t1, r: cr1 }, p2 = { t: c.t2, r: cr2 };
+		const p3 = { t: d.t1, r: dr1 }, p4 = { t: d.t2, r: dr2 };
+		const o1 = this._orientation(p1, p2, p3);
+		const o2 = this._orientation(p1, p2, p4);
+		const o3 = this._orientation(p3, p4, p1);
+		const o4 = this._orientation(p3, p4, p2);
+
+		if (o1 * o2 < 0 && o3 * o4 < 0) return true;
+
+		//Collinear: check for overlap along the line
+		if (o1 === 0 && o2 === 0) {
+			const axis = (p1.t === p2.t ? "r" : "t");
+			const overlap = Math.min(Math.max(p1[axis], p2[axis]), Math.max(p3[axis], p4[axis])) - Math.max(Math.min(p1[axis], p2[axis]), Math.min(p3[axis], p4[axis]));
+			return overlap > 0;
+		}
+		return false;
+	}
+
+	/**
+	 * Get the orientation of point c relative to the line from a to b.
+	 * @protected
+	 * @param {object} a
+	 * @param {object} b
+	 * @param {object} c
+	 * @return {number} - Positive, negative, or 0 if the points are collinear
+	 */
+	_orientation(a, b, c) {
+		return Math.sign((b.t - a.t) * (c.r - a.r) - (b.r - a.r) * (c.t - a.t));
+	}
+
+	/**
+	 * Check if a group (already removed from the grid) fits in a row.
+	 * As when positioning, the space behind entries the group forks to is allowed.
+	 * @protected
+	 * @param {object} group
+	 * @param {number} row
+	 * @return {boolean}
+	 */
+	_fits(group, row) {
+		const forks = group.members[group.members.length - 1].forks
+			.map(id => this._entries.get(id))
+			.filter(e => e.row === row);
+
+		for (const fork of forks) {
+			this._freeGridSpace(row, this._gridBefore(fork), this._gridBefore(fork));
+		}
+		const fits = this._checkGridSpace(row, group.cells[0], group.cells[1]);
+		for (const fork of forks) {
+			this._blockGridSpace(row, this._gridBefore(fork), this._gridBefore(fork));
+		}
+		return fits;
+	}
+
+	/**
+	 * Free the space taken by a group in the grid.
+	 * Other groups close to it in the row are blocked again, as their space at each end can be shared.
+	 * @protected
+	 * @param {object} group
+	 */
+	_removeGroup(group) {
+		const [start, end] = group.cells;
+		this._freeGridSpace(group.row, start, end);
+		this._rowGroups.get(group.row).delete(group);
+
+		for (const other of this._rowGroups.get(group.row)) {
+			if (other.cells[0] - this._resolution <= end + this._resolution && other.cells[1] + this._resolution >= start - this._resolution) {
+				this._blockGridSpace(group.row, other.cells[0], other.cells[1]);
+			}
+		}
+	}
+
+	/**
+	 * Place a group in a row.
+	 * @protected
+	 * @param {object} group
+	 * @param {number} row
+	 */
+	_placeGroup(group, row) {
+		group.row = row;
+		for (const member of group.members) {
+			this._entries.get(member.id).row = row;
+		}
+		this._blockGridSpace(row, group.cells[0], group.cells[1]);
+		this._addToRow(group);
+	}
+
+	/**
+	 * Record a group as being in its row.
+	 * @protected
+	 * @param {object} group
+	 */
+	_addToRow(group) {
+		if (!this._rowGroups.has(group.row)) {
+			this._rowGroups.set(group.row, new Set());
+		}
+		this._rowGroups.get(group.row).add(group);
+	}
+
+	/**
+	 * Remove empty rows from the end of the grid, which can be left by moving groups.
+	 * @protected
+	 */
+	_trimRows() {
+		while (this.rows > 1 && !(this._rowGroups.get(this.rows - 1)?.size)) {
+			this._grid.pop();
+		}
+	}
+}
+
+export default OptimisedPositioner
@@ -24,6 +24,8 @@ class SvgConnector {
 	 * @param {string} [settings.dashes] - A dasharray string for the SVG line. If omitted, a solid line will be used.
 	 * 		Must be a valid SVG dasharray (@see {@link https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dasharray})
 	 * @param {String} [settings.title] - If included, a title element will be included on the line with the given text.
+	 * @param {string} [settings.style = straight] - The style of the line: "straight", "curve" (a cubic Bézier curve) or "elbow" (right angles).
+	 * @param {string} [settings.direction = horizontal] - For curve and elbow styles, the direction the line leaves the start point: "horizontal" or "vertical".
 	 * @return {object}
 	 */
 	static draw({
@@ -33,7 +35,9 @@ class SvgConnector {
 		colour,
 		markers = [],
 		dashes = "",
-		title = ""
+		title = "",
+		style = "straight",
+		direction = "horizontal"
 	} = {}) {
 		const offset = stroke*2;	//This offset makes the canvas larger, allowing for wider end markers
 		
@@ -69,18 +73,70 @@ class SvgConnector {
 		svg.setAttribute("height", Math.abs(yDisplacement) + offset*2);
 		svg.setAttribute("style", "position: absolute; left: " + xpos + "px; top: " + ypos + "px");
 
-		const line = this.drawLine(coords, colour, stroke, dashes, title);
+		const [line, ...markerEls] = this._drawParts(coords, stroke, colour, markers, dashes, title, style, direction);
 		//debugging
 		line.setAttribute("data-coords", `[ ${start.x}, ${start.y}], [ ${end.x}, ${end.y} ]`);
-		svg.append(line);
+		svg.append(line, ...markerEls);
+
+		return svg;
+	}
+	
+	/**
+	 * Create an SVG group drawing a line between the specified start and end points, with optional markers at each end.
+	 * Unlike draw(), the coordinates are used as they are, so the group should be appended to an SVG element covering the whole diagram.
+	 *
+	 * @static
+	 * @param {object} settings - As for draw()
+	 * @return {object}
+	 */
+	static drawGroup({
+		start,
+		end,
+		stroke,
+		colour,
+		markers = [],
+		dashes = "",
+		title = "",
+		style = "straight",
+		direction = "horizontal"
+	} = {}) {
+		const coords = {
+			x1: start.x,
+			y1: start.y,
+			x2: end.x,
+			y2: end.y
+		}
+		
+		const g = document.createElementNS(svgns, "g");
+		g.append(...this._drawParts(coords, stroke, colour, markers, dashes, title, style, direction));
+		return g;
+	}
+	
+	/**
+	 * Draw the line and any markers for the given line coords.
+	 * @param {object} coords
+	 * @param {number} stroke
+	 * @param {string} colour
+	 * @param {array.<string>} markers
+	 * @param {string} dashes
+	 * @param {string} title
+	 * @param {string} style
+	 * @param {string} direction
+	 * @return {array.<object>} - The line, followed by any markers
+	 */
+	static _drawParts(coords, stroke, colour, markers, dashes, title, style, direction) {
+		const line = (style === "curve" || style === "elbow"
+			? this.drawPath(coords, colour, stroke, dashes, title, style, direction)
+			: this.drawLine(coords, colour, stroke, dashes, title));
+		const parts = [line];
 		
 		const markerStart = this._drawMarker(markers[0], "start", coords, stroke, colour);
-		if (markerStart) svg.append(markerStart);
+		if (markerStart) parts.push(markerStart);
 		
 		const markerEnd = this._drawMarker(markers[1], "end", coords, stroke, colour);
-		if (markerEnd) svg.append(markerEnd);
-
-		return svg;
+		if (markerEnd) parts.push(markerEnd);
+		
+		return parts;
 	}
 	
 	/**
@@ -192,6 +248,50 @@ class SvgConnector {
 		return line;
 	}
 	
+	/**
+	 * Returns an SVG path joining the start and end points with either a curve or right angles, which can be appended to an SVG element.
+	 * Curves leave and meet the points in the given direction.
+	 * Elbows leave the start point in the given direction, and turn once to meet the end point.
+	 * @param {object} coords - the x and y coordinates of the start and end points of the line
+	 * @param {number} coords.x1
+	 * @param {number} coords.y1
+	 * @param {number} coords.x2
+	 * @param {number} coords.y2
+	 * @param {string} colour - The colour of the line. Must be a valid hex colour.
+	 * @param {number} width - The width in px of the line
+	 * @param {string} [dashes] - The dasharray pattern of the line. If omitted, it will be solid.
+	 * @param {String} [title] - If included, a title element will be included with the given text.
+	 * @param {string} [style = curve] - Either "curve" or "elbow"
+	 * @param {string} [direction = horizontal] - Either "horizontal" or "vertical"
+	 * @return {object}
+	 */
+	static drawPath(coords, colour, width, dashes = "", title = "", style = "curve", direction = "horizontal") {
+		const {x1, y1, x2, y2} = coords;
+		let d;
+		
+		if (style === "elbow") {
+			d = (direction === "vertical" ? `M ${x1} ${y1} V ${y2} H ${x2}` : `M ${x1} ${y1} H ${x2} V ${y2}`);
+		} else if (direction === "vertical") {
+			const my = (y1 + y2) / 2;
+			d = `M ${x1} ${y1} C ${x1} ${my}, ${x2} ${my}, ${x2} ${y2}`;
+		} else {
+			const mx = (x1 + x2) / 2;
+			d = `M ${x1} ${y1} C ${mx} ${y1}, ${mx} ${y2}, ${x2} ${y2}`;
+		}
+		
+		const path = document.createElementNS(svgns, "path");
+		path.setAttribute("d", d);
+		path.setAttribute("fill", "none");
+		path.setAttribute("stroke", colour);
+		path.setAttribute("stroke-width", width);
+		path.setAttribute("stroke-dasharray", dashes);
+		
+		if(title) {
+			path.append(this._createTitle(title));
+		}
+		return path;
+	}
+	
 	/**
 	 * Return an SVG circle, which can be appended to an SVG element.
 	 * @param {number} cx - The X coordinate of the circle centre
@@ -249,7 +349,6 @@ class SvgConnector {
 		const t = document.createElementNS(svgns, "title");
 		t.append(document.createTextNode(title));
 		t.dataset.title = title;
-		console.log(title);
 		return t;
 	}
 }
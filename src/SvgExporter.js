@@ -0,0 +1,565 @@
+import SvgConnector from './SvgConnector.js';
+import {entryText, estimateTextWidth} from './util.js';
+
+const svgns = "http://www.w3.org/2000/svg";
+
+/**
+ * The order in which connectors are drawn, matching the stacking order in the stylesheet
+ */
+const connectorOrder = ["split", "become", "merge", "end", "fork", "link", "stub"];
+
+/**
+ * The opacity of dimmed entries and their connectors (those not matching a filter), matching the stylesheet
+ */
+const dimmedOpacity = 0.25;
+
+/**
+ * A class for exporting a drawn diagram as a single, self-contained SVG document.
+ * Entry boxes and labels, connectors, guides, periods, lanes, date axes and events are all converted to SVG, with colours inlined, so the result can be used without the page's stylesheet.
+ * Entries, guides, periods, lanes, date axes and labels are exported from the Diagram's scene, so they don't need to be in the document (as with CanvasRenderer).
+ */
+class SvgExporter {
+
+	/**
+	 * @param {HTMLElement} container - The diagram container, after the diagram has been created.
+	 * @param {object} config - The diagram config.
+	 * @param {object} scene - The Diagram's scene (see Diagram#_setup()), with the shown 'entries' and their boxes (see Diagram#_getEntryBoxes()).
+	 * @param {array.<object>} [connectors] - The connectors, if they aren't in the document (when drawn by CanvasRenderer), as returned by CanvasRenderer#getConnectors().
+	 */
+	constructor(container, config, scene, connectors = null) {
+		this._container = container;
+		this._config = config;
+		this._scene = scene;
+		this._connectors = connectors;
+		this._vertical = (config.orientation === "vertical");
+
+		const root = window.getComputedStyle(document.documentElement);
+		this._colours = {
+			entry: root.getPropertyValue("--timeline-entry-colour").trim() || "#f2f2f2",
+			text: root.getPropertyValue("--timeline-text-colour").trim() || "#333",
+			guide: "#fff",
+			guideOdd: "#fafafa",
+			guideBorder: "#ccc"
+		};
+		this._font = window.getComputedStyle(container).fontFamily || "sans-serif";
+	}
+
+	/**
+	 * Create the SVG document.
+	 * @return {SVGElement}
+	 */
+	export() {
+		const width = parseFloat(this._container.style.width);
+		const height = parseFloat(this._container.style.height);
+
+		const svg = document.createElementNS(svgns, "svg");
+		svg.setAttribute("width", width);
+		svg.setAttribute("height", height);
+		svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+		svg.setAttribute("font-family", this._font);
+
+		this._defs = document.createElementNS(svgns, "defs");
+		svg.append(this._defs);
+
+		svg.append(this._exportGuides());
+		svg.append(this._exportPeriods());
+		svg.append(this._exportLanes());
+		svg.append(this._exportDates());
+		svg.append(this._exportEvents());
+		svg.append(this._exportConnectors());
+		svg.append(this._exportEntries());
+		svg.append(this._exportLabels());
+		svg.append(this._exportEventMarkers());
+
+		return svg;
+	}
+
+	/**
+	 * Create the SVG document and return it as a string, ready to be saved as a file.
+	 * @return {string}
+	 */
+	toString() {
+		return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(this.export())}`;
+	}
+
+	/**
+	 * Export the guides as rectangles.
+	 * @protected
+	 * @return {SVGElement}
+	 */
+	_exportGuides() {
+		const g = this._group("guides");
+		const crossSize = this._crossSize();
+
+		for (const guide of this._scene.guides) {
+			const fill = (guide.odd ? this._colours.guideOdd : this._colours.guide);
+
+			g.append(this._rect(this._box(guide.pos, 0, guide.size, crossSize), { fill: fill }));
+			g.append(this._line(this._box(guide.pos, 0, 0, crossSize), { stroke: this._colours.guideBorder, "stroke-dasharray": "3 3" }));
+		}
+		return g;
+	}
+
+	/**
+	 * Export the named periods as shaded rectangles, unless they are hidden. Their labels are exported with the date axes.
+	 * @protected
+	 * @return {SVGElement}
+	 */
+	_exportPeriods() {
+		const g = this._group("periods");
+		if (this._periodsHidden()) return g;
+		const crossSize = this._crossSize();
+
+		for (const period of this._scene.periods) {
+			g.append(this._rect(this._box(period.pos, 0, period.size, crossSize), {
+				fill: period.colour || this._config.strokeColour,
+				"fill-opacity": 0.15
+			}));
+		}
+		return g;
+	}
+
+	/**
+	 * Export the lanes of groups of entries as rectangles, with their labels at the start.
+	 * @protected
+	 * @return {SVGElement}
+	 */
+	_exportLanes() {
+		const g = this._group("lanes");
+		const timeSize = parseFloat(this._container.style[this._vertical ? "height" : "width"]);
+
+		for (const lane of this._scene.lanes) {
+			const cross = (lane.row + 1) * this._config.rowHeight;
+			const size = lane.rows * this._config.rowHeight;
+
+			if (lane.colour) {
+				g.append(this._rect(this._box(0, cross, timeSize, size), { fill: lane.colour, "fill-opacity": 0.2 }));
+			}
+			g.append(this._line(this._box(0, cross, timeSize, 0), { stroke: this._config.strokeColour }));
+
+			const text = this._text(lane.label, { "font-weight": 700, "font-size": 11 });
+			const point = this._box(this._config.padding, cross + 2, 0, 0);
+			text.setAttribute("x", point.x);
+			text.setAttribute("y", point.y);
+			text.setAttribute("dominant-baseline", "hanging");
+			g.append(text);
+		}
+		return g;
+	}
+
+	/**
+	 * Export the date axes at the start and end of the rows, with the labels of any named periods along their bottom.
+	 * @protected
+	 * @return {SVGElement}
+	 */
+	_exportDates() {
+		const g = this._group("dates");
+		if (this._scene.dates.length === 0) return g;
+
+		const rowHeight = this._config.rowHeight;
+		const padding = this._config.padding;
+		const timeSize = parseFloat(this._container.style[this._vertical ? "height" : "width"]);
+
+		for (const cross of [0, (this._config.rows + 1) * rowHeight]) {
+			g.append(this._rect(this._box(0, cross, timeSize, rowHeight), { fill: this._colours.entry }));
+
+			for (const date of this._scene.dates.filter(date => !date.month)) {
+				const pos = date.pos;
+				g.append(this._line(this._box(pos, cross, 0, rowHeight), { stroke: this._config.strokeColour }));
+
+				const text = this._text(date.label, { "font-weight": 700, "font-size": 12 });
+				const point = this._box(pos + padding, cross + padding, 0, 0);
+				text.setAttribute("x", point.x);
+				text.setAttribute("y", point.y);
+				text.setAttribute("dominant-baseline", "hanging");
+				g.append(text);
+			}
+
+			if (this._periodsHidden()) continue;
+			for (const period of this._scene.periods) {
+				const pos = period.pos;
+				g.append(this._rect(this._box(pos, cross + rowHeight - 3, period.size, 3), { fill: period.colour || this._config.strokeColour }));
+
+				const text = this._text(period.label, { "font-size": 10 });
+				const point = this._box(pos + padding, cross + rowHeight - 5, 0, 0);
+				text.setAttribute("x", point.x);
+				text.setAttribute("y", point.y);
+				if (this._vertical) {
+					text.setAttribute("text-anchor", "end");
+					text.setAttribute("dominant-baseline", "hanging");
+				}
+				const title = document.createElementNS(svgns, "title");
+				title.append(document.createTextNode(`${period.label} (${period.start} - ${period.end})`));
+				text.append(title);
+				g.append(text);
+			}
+		}
+		return g;
+	}
+
+	/**
+	 * Check if the named periods are hidden (see Diagram#togglePeriods()).
+	 * @protected
+	 * @return {boolean}
+	 */
+	_periodsHidden() {
+		return this._container.classList.contains("timeline-periods-hidden");
+	}
+
+	/**
+	 * Export the rules of events across the diagram, with their labels after the date axis.
+	 * @protected
+	 * @return {SVGElement}
+	 */
+	_exportEvents() {
+		const g = this._group("events");
+		const crossSize = this._crossSize();
+
+		for (const rule of this._container.querySelectorAll(":scope > .timeline-event-rule")) {
+			const pos = this._timePos(rule);
+			const colour = rule.style.borderColor || this._config.strokeColour;
+			g.append(this._line(this._box(pos, 0, 0, crossSize), { stroke: colour, "stroke-width": 2 }));
+
+			const text = this._text(rule.textContent, { "font-size": 11 });
+			const point = this._box(pos + 4, this._config.rowHeight + 2, 0, 0);
+			text.setAttribute("x", point.x);
+			text.setAttribute("y", point.y);
+			text.setAttribute("dominant-baseline", "hanging");
+			g.append(text);
+		}
+		return g;
+	}
+
+	/**
+	 * Export the labels placed outside short entries (with the 'labels' config).
+	 * @protected
+	 * @return {SVGElement}
+	 */
+	_exportLabels() {
+		const g = this._group("labels");
+
+		for (const label of this._scene.labels) {
+			const maxChars = this._maxChars(label.w - entryText.labelPadding*2);
+			const text = this._text(this._ellipsis(label.text, maxChars), { "font-size": entryText.size });
+			text.setAttribute("x", label.x + entryText.labelPadding);
+			text.setAttribute("y", label.y + (entryText.lineHeight - entryText.size)/2);
+			text.setAttribute("dominant-baseline", "hanging");
+			if (label.dimmed) {
+				text.setAttribute("opacity", dimmedOpacity);
+			}
+			g.append(text);
+		}
+		return g;
+	}
+
+	/**
+	 * Get the number of characters of entry text which fit a width, as estimated (see estimateTextWidth()).
+	 * @protected
+	 * @param {number} width
+	 * @return {number} - At least one
+	 */
+	_maxChars(width) {
+		return Math.max(1, Math.floor(width / estimateTextWidth("x")));
+	}
+
+	/**
+	 * Cut text short with an ellipsis, if it is longer than the given number of characters (as text width is estimated).
+	 * @protected
+	 * @param {string} str
+	 * @param {number} maxChars
+	 * @param {boolean} [more = false] - Whether there is more text after this, so an ellipsis is always added
+	 * @return {string}
+	 */
+	_ellipsis(str, maxChars, more = false) {
+		if (!more && str.length <= maxChars) return str;
+		return str.slice(0, Math.max(maxChars - 1, 0)).trimEnd() + "\u2026";
+	}
+
+	/**
+	 * Export the markers of events on entries as diamonds, with the event as their title.
+	 * @protected
+	 * @return {SVGElement}
+	 */
+	_exportEventMarkers() {
+		const g = this._group("event-markers");
+		const size = 12;
+
+		for (const marker of this._container.querySelectorAll(":scope > .timeline-event-marker")) {
+			const x = parseFloat(marker.style.left);
+			const y = parseFloat(marker.style.top);
+			const rect = this._rect({ x: x - size/2, y: y - size/2, w: size, h: size }, {
+				fill: marker.style.backgroundColor || this._config.strokeColour,
+				stroke: "#fff",
+				"stroke-width": 2,
+				transform: `rotate(45 ${x} ${y})`
+			});
+			if (marker.classList.contains("timeline-dimmed")) {
+				rect.setAttribute("opacity", dimmedOpacity);
+			}
+			const title = document.createElementNS(svgns, "title");
+			title.append(document.createTextNode(marker.title));
+			rect.append(title);
+			g.append(rect);
+		}
+		return g;
+	}
+
+	/**
+	 * Export the connectors, by moving the contents of each connector SVG into a translated group.
+	 * If the connectors are drawn in a single shared SVG, its contents are copied as they are.
+	 * If the connectors were given instead (from a canvas), they are drawn from their settings.
+	 * @protected
+	 * @return {SVGElement}
+	 */
+	_exportConnectors() {
+		const g = this._group("connectors");
+		
+		if (this._connectors) {
+			for (const connector of this._connectors) {
+				const group = SvgConnector.drawGroup(connector.settings);
+				group.setAttribute("class", connector.type);
+				group.setAttribute("data-entry", connector.entry);
+				if (connector.dimmed) {
+					group.setAttribute("opacity", dimmedOpacity);
+				}
+				g.append(group);
+			}
+			return g;
+		}
+		
+		const layer = this._container.querySelector(":scope > svg.timeline-connectors");
+		if (layer) {
+			for (const child of layer.children) {
+				const copy = child.cloneNode(true);
+				for (const dimmed of copy.querySelectorAll(".timeline-dimmed")) {
+					dimmed.setAttribute("opacity", dimmedOpacity);
+				}
+				g.append(copy);
+			}
+			return g;
+		}
+		
+		const connectors = [...this._container.querySelectorAll(":scope > svg")];
+		const rank = (el) => connectorOrder.findIndex(c => el.classList.contains(c));
+		connectors.sort((a, b) => rank(a) - rank(b));
+
+		for (const connector of connectors) {
+			const group = this._group(connector.getAttribute("class"));
+			group.setAttribute("transform", `translate(${parseFloat(connector.style.left)} ${parseFloat(connector.style.top)})`);
+			if (connector.dataset.entry) {
+				group.setAttribute("data-entry", connector.dataset.entry);
+			}
+			if (connector.classList.contains("timeline-dimmed")) {
+				group.setAttribute("opacity", dimmedOpacity);
+			}
+			for (const child of connector.children) {
+				const copy = child.cloneNode(true);
+				copy.removeAttribute("data-coords");
+				group.append(copy);
+			}
+			g.append(group);
+		}
+		return g;
+	}
+
+	/**
+	 * Export the entries as boxes with their names.
+	 * Text is wrapped to fit the box where possible, and clipped to it (or cut short, if truncated by the 'labels' config).
+	 * @protected
+	 * @return {SVGElement}
+	 */
+	_exportEntries() {
+		const g = this._group("entries");
+
+		for (const {element: entry, box: layoutBox} of this._scene.entries) {
+			const min = layoutBox.min;
+			const box = { x: layoutBox.x, y: layoutBox.y, w: layoutBox.w, h: layoutBox.h };
+			const name = entry.textContent.trim();
+
+			const group = this._group("entry");
+			group.setAttribute("data-entry", entry.id);
+			if (entry.classList.contains("timeline-dimmed")) {
+				group.setAttribute("opacity", dimmedOpacity);
+			}
+
+			const title = document.createElementNS(svgns, "title");
+			title.append(document.createTextNode(name));
+			group.append(title);
+
+			const border = 3;
+			group.append(this._rect({ x: box.x + border/2, y: box.y + border/2, w: box.w - border, h: box.h - border }, {
+				fill: this._colours.entry,
+				stroke: entry.dataset.colour || this._config.strokeColour,
+				"stroke-width": border,
+				rx: (min ? Math.min(box.w, box.h)/2 : 3)
+			}));
+
+			//Short entries don't show their name in the diagram, so it is only included in the title
+			if (!min) {
+				const clip = document.createElementNS(svgns, "clipPath");
+				clip.id = `timeline-clip-${entry.id}`;
+				clip.append(this._rect(box, {}));
+				this._defs.append(clip);
+
+				const lines = (entry.classList.contains("timeline-label-truncated") ? parseInt(entry.style.getPropertyValue("--timeline-label-lines")) : Infinity);
+				const text = this._wrapText(name, box, lines || 1);
+				text.setAttribute("clip-path", `url(#${clip.id})`);
+				group.append(text);
+			}
+			g.append(group);
+		}
+		return g;
+	}
+
+	/**
+	 * Create a centred, multi-line text element fitted to a box.
+	 * Text width is estimated, as it can't be measured before being rendered.
+	 * @protected
+	 * @param {string} str
+	 * @param {object} box
+	 * @param {number} [maxLines] - The most lines to show, cutting the text short with an ellipsis after them
+	 * @return {SVGElement}
+	 */
+	_wrapText(str, box, maxLines = Infinity) {
+		const fontSize = entryText.size;
+		const lineHeight = entryText.lineHeight;
+		const maxChars = this._maxChars(box.w - entryText.inset*2);
+
+		const lines = [];
+		let line = "";
+		for (const word of str.split(/\s+/)) {
+			if (line && (line + " " + word).length > maxChars) {
+				lines.push(line);
+				line = word;
+			} else {
+				line = (line ? line + " " + word : word);
+			}
+		}
+		lines.push(line);
+		if (lines.length > maxLines) {
+			lines.splice(maxLines);
+			lines[maxLines - 1] = this._ellipsis(lines[maxLines - 1], maxChars, true);
+		}
+
+		const text = this._text("", { "font-size": fontSize, "text-anchor": "middle" });
+		const top = box.y + entryText.inset;
+		lines.forEach((l, i) => {
+			const tspan = document.createElementNS(svgns, "tspan");
+			tspan.setAttribute("x", box.x + box.w/2);
+			tspan.setAttribute("y", top + lineHeight * (i + 1) - (lineHeight - fontSize));
+			tspan.append(document.createTextNode(l));
+			text.append(tspan);
+		});
+		return text;
+	}
+
+	/**
+	 * Convert a box given in time and cross axis terms to SVG coordinates, according to the orientation.
+	 * @protected
+	 * @param {number} time - Position along the time axis
+	 * @param {number} cross - Position across the rows
+	 * @param {number} timeSize - Length along the time axis
+	 * @param {number} crossSize - Length across the rows
+	 * @return {object} - x, y, w and h
+	 */
+	_box(time, cross, timeSize, crossSize) {
+		if (this._vertical) {
+			return { x: cross, y: time, w: crossSize, h: timeSize };
+		}
+		return { x: time, y: cross, w: timeSize, h: crossSize };
+	}
+
+	/**
+	 * Get the position of an element along the time axis.
+	 * @protected
+	 * @param {HTMLElement} el
+	 * @return {number}
+	 */
+	_timePos(el) {
+		return parseFloat(el.style[this._vertical ? "top" : "left"]);
+	}
+
+	/**
+	 * Get the full size of the diagram across the rows.
+	 * @protected
+	 * @return {number}
+	 */
+	_crossSize() {
+		return parseFloat(this._container.style[this._vertical ? "width" : "height"]);
+	}
+
+	/**
+	 * Create an SVG group with the given class.
+	 * @protected
+	 * @param {string} cssClass
+	 * @return {SVGElement}
+	 */
+	_group(cssClass) {
+		const g = document.createElementNS(svgns, "g");
+		g.setAttribute("class", cssClass);
+		return g;
+	}
+
+	/**
+	 * Create an SVG rect.
+	 * @protected
+	 * @param {object} box - x, y, w and h
+	 * @param {object} attrs - Other attributes to set
+	 * @return {SVGElement}
+	 */
+	_rect(box, attrs) {
+		const rect = document.createElementNS(svgns, "rect");
+		rect.setAttribute("x", box.x);
+		rect.setAttribute("y", box.y);
+		rect.setAttribute("width", box.w);
+		rect.setAttribute("height", box.h);
+		this._setAttributes(rect, attrs);
+		return rect;
+	}
+
+	/**
+	 * Create an SVG line from the start to the end of the box.
+	 * @protected
+	 * @param {object} box - x, y, w and h
+	 * @param {object} attrs - Other attributes to set
+	 * @return {SVGElement}
+	 */
+	_line(box, attrs) {
+		const line = document.createElementNS(svgns, "line");
+		line.setAttribute("x1", box.x);
+		line.setAttribute("y1", box.y);
+		line.setAttribute("x2", box.x + box.w);
+		line.setAttribute("y2", box.y + box.h);
+		this._setAttributes(line, attrs);
+		return line;
+	}
+
+	/**
+	 * Create an SVG text element.
+	 * @protected
+	 * @param {string} str
+	 * @param {object} attrs - Other attributes to set
+	 * @return {SVGElement}
+	 */
+	_text(str, attrs) {
+		const text = document.createElementNS(svgns, "text");
+		text.setAttribute("fill", this._colours.text);
+		if (str) text.append(document.createTextNode(str));
+		this._setAttributes(text, attrs);
+		return text;
+	}
+
+	/**
+	 * Set attributes on an element from an object.
+	 * @protected
+	 * @param {Element} el
+	 * @param {object} attrs
+	 */
+	_setAttributes(el, attrs) {
+		for (const attr in attrs) {
+			el.setAttribute(attr, attrs[attr]);
+		}
+	}
+}
+
+export default SvgExporter
@@ -0,0 +1,190 @@
+import {parseDate} from './util.js';
+
+/**
+ * The columns of the table, with the entry property each shows and is sorted by
+ */
+const columns = [
+	{ prop: "name", label: "Name" },
+	{ prop: "start", label: "Start" },
+	{ prop: "end", label: "End" },
+	{ prop: "group", label: "Group" },
+	{ prop: "relations", label: "Relations" }
+];
+
+/**
+ * An accessible text alternative to the diagram, generated from the same entries: a table of the entries with their dates,
+ * and their relations to other entries described in words (e.g. "Split from X in 1969; merged into Y in 1977; linked with Z.").
+ * The table can be sorted by each column (apart from the relations), and each entry's name can link to it in the diagram.
+ */
+class TextView {
+
+	/**
+	 * @param {array.<object>} entries - The entries, as returned by Diagram#getEntries()
+	 */
+	constructor(entries) {
+		this._entries = new Map(entries.map(entry => [entry.id, entry]));
+	}
+
+	/**
+	 * Describe an entry's relations to other entries, with the dates of each.
+	 * @param {string} id - The ID of the entry
+	 * @return {string} - The description, or an empty string if the entry has no relations
+	 */
+	describe(id) {
+		const entry = this._entries.get(id);
+		const {to, from} = entry.relations;
+		const name = (other) => this._entries.get(other).name;
+		//Ends continuing to the end of the diagram have no date
+		const at = (date) => (date === null ? "" : ` in ${date}`);
+		const date = (other, prop) => at(this._entries.get(other)[prop]);
+
+		const clauses = [
+			...from.become.map(other => `continued from ${name(other)}${at(entry.start)}`),
+			...to.split.map(other => `split from ${name(other)}${at(entry.start)}`),
+			...from.fork.map(other => `forked from ${name(other)}${date(other, "end")}`),
+			...from.split.map(other => `${name(other)} split from it${date(other, "start")}`),
+			...from.merge.map(other => `${name(other)} merged into it${date(other, "end")}`),
+			...to.become.map(other => `became ${name(other)}${date(other, "start")}`),
+			...to.merge.map(other => `merged into ${name(other)}${at(entry.end)}`)
+		];
+		if (to.fork.length > 0) {
+			clauses.push(`forked into ${this._list(to.fork.map(name))}${at(entry.end)}`);
+		}
+		const links = [...new Set([...to.links, ...from.links])];
+		if (links.length > 0) {
+			clauses.push(`linked with ${this._list(links.map(name))}`);
+		}
+
+		if (clauses.length === 0) return "";
+		const text = clauses.join("; ");
+		return text[0].toUpperCase() + text.slice(1) + ".";
+	}
+
+	/**
+	 * Describe the dates of an entry, noting if the end is an estimate.
+	 * @param {string} id - The ID of the entry
+	 * @return {string}
+	 */
+	describeDates(id) {
+		const entry = this._entries.get(id);
+		if (entry.end === null) {
+			return `from ${entry.start}`;
+		}
+		return `${entry.start} to ${entry.end}` + (entry.endEstimate ? " (end estimated)" : "");
+	}
+
+	/**
+	 * Create the table of entries, sorted by start date.
+	 * The column headers are buttons which sort the table by that column, or reverse the order if it is already sorted by it.
+	 * @param {function} [select] - Called with the ID of an entry when its name is clicked. If omitted, names aren't links.
+	 * @return {HTMLTableElement}
+	 */
+	createTable(select = null) {
+		const table = document.createElement("table");
+		table.classList.add("timeline-text-table");
+
+		const caption = document.createElement("caption");
+		caption.append(document.createTextNode("Timeline entries and their relations"));
+		table.append(caption);
+
+		const grouped = [...this._entries.values()].some(entry => entry.group !== null);
+		const shown = columns.filter(column => column.prop !== "group" || grouped);
+
+		const head = table.createTHead().insertRow();
+		for (const column of shown) {
+			const th = document.createElement("th");
+			th.scope = "col";
+			th.dataset.sort = column.prop;
+			if (column.prop === "relations") {
+				th.append(document.createTextNode(column.label));
+			} else {
+				const button = document.createElement("button");
+				button.type = "button";
+				button.append(document.createTextNode(column.label));
+				button.addEventListener("click", () => {
+					this.sortTable(table, column.prop, th.getAttribute("aria-sort") === "ascending");
+				});
+				th.append(button);
+			}
+			head.append(th);
+		}
+
+		const body = table.createTBody();
+		for (const entry of this._entries.values()) {
+			const row = body.insertRow();
+			row.dataset.entry = entry.id;
+
+			const th = document.createElement("th");
+			th.scope = "row";
+			if (select) {
+				const link = document.createElement("a");
+				link.href = `#find-${entry.id}`;
+				link.append(document.createTextNode(entry.name));
+				link.addEventListener("click", (e) => {
+					e.preventDefault();
+					select(entry.id);
+				});
+				th.append(link);
+			} else {
+				th.append(document.createTextNode(entry.name));
+			}
+			row.append(th);
+
+			const cells = {
+				start: entry.start,
+				end: (entry.end === null ? "" : entry.end),
+				group: entry.group || "",
+				relations: this.describe(entry.id)
+			};
+			for (const column of shown.slice(1)) {
+				row.insertCell().append(document.createTextNode(cells[column.prop]));
+			}
+		}
+
+		this.sortTable(table, "start");
+		return table;
+	}
+
+	/**
+	 * Sort the rows of a table made by createTable(), marking the column sorted by with aria-sort.
+	 * @param {HTMLTableElement} table
+	 * @param {string} prop - The entry property of the column to sort by: "name", "start", "end" or "group"
+	 * @param {boolean} [descending = false]
+	 */
+	sortTable(table, prop, descending = false) {
+		const rows = [...table.tBodies[0].rows];
+		const value = (row) => this._entries.get(row.dataset.entry)[prop];
+		const compare = (a, b) => {
+			const [x, y] = [value(a), value(b)];
+			//Entries without a value (no end, or no group) are always last
+			if (x === null || y === null) {
+				return (x === null) - (y === null);
+			}
+			const order = (prop === "start" || prop === "end" ? parseDate(x) - parseDate(y) : String(x).localeCompare(String(y)));
+			return (descending ? -order : order);
+		};
+		rows.sort(compare);
+		table.tBodies[0].append(...rows);
+
+		for (const th of table.tHead.rows[0].cells) {
+			if (th.dataset.sort === prop) {
+				th.setAttribute("aria-sort", (descending ? "descending" : "ascending"));
+			} else {
+				th.removeAttribute("aria-sort");
+			}
+		}
+	}
+
+	/**
+	 * Join names as a list in words, e.g. "A, B and C".
+	 * @protected
+	 * @param {array.<string>} names
+	 * @return {string}
+	 */
+	_list(names) {
+		if (names.length === 1) return names[0];
+		return names.slice(0, -1).join(", ") + " and " + names[names.length - 1];
+	}
+}
+
+export default TextView
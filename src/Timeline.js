@@ -20,6 +20,9 @@
  * @module Timeline
  */
 import {defaultDiagramConfig, Diagram} from './Diagram.js';
+import EntrySearch from './EntrySearch.js';
+import EntryPopover from './EntryPopover.js';
+import TextView from './TextView.js';
 import {applyConfig} from './util.js';
 
 /**
@@ -27,15 +30,23 @@ import {applyConfig} from './util.js';
  */
 const defaultTimelineConfig = {
 	panzoom: false,
+	keyboard: false,
+	trace: null,
+	traceLinks: false,
+	popover: false,
 	findForm: "timeline-find",
 	zoomIn: "timeline-zoom-in",
 	zoomOut: "timeline-zoom-out",
-	zoomReset: "timeline-zoom-reset"
+	zoomReset: "timeline-zoom-reset",
+	textViewToggle: "timeline-text-view-toggle",
+	periodsToggle: "timeline-periods-toggle",
+	periodSelect: "timeline-period-select"
 }
 
 /**
  * The class representing the Timeline.  This is the point of access to this tool.
  * The simplest usage is to instantiate a new Timeline object, and then call the create() method.
+ * Methods which use the diagram throw an error if called before create(), or after destroy().
  * @alias Timeline
  */
 class Timeline {
@@ -43,10 +54,18 @@ class Timeline {
 	 * @param {string} [container = diagram] - The ID of the container element for the timeline.
 	 * @param {object} [config] - All config for the timeline
 	 * @param {boolean} [config.panzoom = false] - Whether to apply panning and zooming feature to the timeline.
+	 * @param {boolean} [config.keyboard = false] - Whether entries can be focused, and the diagram moved around with the arrow keys following the relations between entries.
+	 * @param {string} [config.trace] - Trace the lineage of an entry when it is hovered over or focused ("hover"), or clicked ("click"). See trace().
+	 * @param {boolean} [config.traceLinks = false] - Whether traces include the entries linked to the lineage
+	 * @param {boolean} [config.popover = false] - Whether to show a popover with an entry's details when it is hovered over, focused or tapped.
+	 * 								See Entry popovers in the README.
 	 * @param {string} [config.findForm = timeline-find] - The ID of the find form
 	 * @param {string} [config.zoomIn = timeline-zoom-in] - The ID of the button to zoom in
 	 * @param {string} [config.zoomOut = timeline-zoom-out] - The ID of the button to zoom out
 	 * @param {string} [config.zoomReset = timeline-zoom-reset] - The ID of the button to reset the zoom level
+	 * @param {string} [config.textViewToggle = timeline-text-view-toggle] - The ID of the button to show or hide the text view of the entries (see toggleTextView())
+	 * @param {string} [config.periodsToggle = timeline-periods-toggle] - The ID of the button to show or hide the named periods (see togglePeriods())
+	 * @param {string} [config.periodSelect = timeline-period-select] - The ID of a select element to jump to a named period with (see showPeriod())
 	 * @param {number} [config.yearStart = 1900] - the starting year for the timeline
 	 * @param {number} [config.yearEnd = Current year + 1] - the end year for the timeline
 	 * @param {number} [config.strokeWidth = 4] - the width in px of the joining lines
@@ -58,29 +77,388 @@ class Timeline {
 	 * @param {boolean} [config.guides = true] - whether to draw striped guides at regular intervals in the timeline
 	 * @param {number} [config.guideInterval = 5] - the interval in years between guides (ignored if 'guides' is false)
 	 * @param {string} [config.entrySelector = div] - the CSS selector used for entries
+	 * @param {array.<object>} [config.data] - an array of entry objects to generate the entries from, instead of (or as well as) entries in the HTML
+	 * @param {string|boolean} [config.validation = lenient] - how to handle invalid entry data: "strict" throws an error listing all problems,
+	 * 								"lenient" skips invalid entries and relations and emits a timelineWarning event (logging the problems in the console,
+	 * 								unless a listener calls preventDefault()), false disables validation
+	 * @param {string} [config.orientation = horizontal] - the direction of the time axis: "horizontal", or "vertical" (time runs down the page and rows become columns)
+	 * @param {boolean} [config.sharedSvg = false] - draw all connectors in one SVG element covering the diagram, grouped by entry, instead of one SVG element per line
+	 * @param {string|object} [config.connectorStyle = straight] - the style of connectors: "straight", "curve" or "elbow". Use an object to set
+	 * 								the style per connector type, with the properties "split", "merge", "fork", "link" and "default"
+	 * @param {string} [config.positioner = default] - how to choose rows for entries without data-row: "default" uses the first row with space,
+	 * 								while "optimised" then moves entries to reduce connectors crossing each other and entries, and long connectors
+	 * @param {object} [config.groups] - the lanes for entries with a data-group, by group name: each an object with an optional 'label',
+	 * 								'colour' (of the lane's background) and 'order'
+	 * @param {string} [config.renderer = dom] - how to draw the diagram: "dom" draws an element for each entry and connector, while "canvas"
+	 * 								draws everything on a single canvas, which is much faster for very large diagrams
+	 * @param {array.<object>} [config.events] - events to mark with a labelled rule across the whole diagram, each with a 'date' and 'label',
+	 * 								and an optional 'description' (shown in its tooltip) and 'colour'. Events on a single entry are given in its data-events instead
+	 * @param {array.<object>} [config.periods] - named periods (or eras) to shade behind the diagram, each with a 'label', 'start' and 'end' date,
+	 * 								and an optional 'colour'. They are labelled in the date axes
+	 * @param {string} [config.labels = inside] - where to show entry names: "inside" their boxes only, or "auto" to place the names of short entries
+	 * 								beside them where there is space, and cut short names which don't fit
 	 */
 	constructor(container = "diagram", config = {}) {
 		this._container = container;
+		this._listeners = [];
 		this._setConfig(config);
 	}
 	
+	/**
+	 * Create a new Timeline from JSON entry data. The entry elements will be generated when create() is called.
+	 * @static
+	 * @param {string} container - The ID of the container element for the timeline.
+	 * @param {string|array.<object>} json - A JSON string, or an already parsed array, of entry objects.
+	 * @param {object} [config] - All config for the timeline (as for the constructor)
+	 * @return {Timeline}
+	 */
+	static fromJSON(container, json, config = {}) {
+		const data = (typeof json === "string" ? JSON.parse(json) : json);
+		if (!Array.isArray(data)) {
+			throw new Error("Timeline data must be an array of entry objects.");
+		}
+		return new Timeline(container, Object.assign({}, config, { data: data }));
+	}
+	
 	/**
 	 * Create the Timeline. This should be called after instantiation.
+	 * @fires Timeline#timelineReady
 	 */
 	create() {
-		const d = new Diagram(this._container, this._diagramConfig);
-		this._diagram = d.create();
+		this._diagramInstance = new Diagram(this._container, this._diagramConfig);
+		this._diagram = this._diagramInstance.create();
 
+		if (this._diagramConfig.renderer === "canvas") {
+			//Only the visible part of a canvas diagram is drawn
+			const render = () => this._diagramInstance.render();
+			this._listen(window, 'scroll', render);
+			this._listen(window, 'resize', render);
+		}
 		if (this._config.panzoom === true) {
 			this._initPanzoom();
 			this._initControls();
-			window.addEventListener('hashchange', (e) => this._hashHandler(e));
+			this._listen(window, 'hashchange', (e) => this._hashHandler(e));
 		}
+		if (this._config.keyboard === true) {
+			this._initKeyboard();
+		}
+		if (this._config.trace === "hover" || this._config.trace === "click") {
+			this._initTrace();
+		}
+		if (this._config.popover === true) {
+			this._initPopover();
+		}
+		this._initTextViewToggle();
+		this._initPeriodControls();
+		this._initEvents();
+		//Entries are hidden and shown by collapsing, including with the markers in the diagram
+		this._listen(this._diagram, 'timelineCollapse', () => this._entriesChanged());
+		this._listen(this._diagram, 'timelineExpand', () => this._entriesChanged());
 		if (location.hash) {
 			setTimeout(() => {
 				this._hashHandler();
 			});
 		}
+		this._dispatch('timelineReady', {});
+	}
+	
+	/**
+	 * Listen for a timeline event. The listener is added to the container, so it can be added before create() is called,
+	 * and is kept if the timeline is destroyed and created again.
+	 * @param {string} type - The event, with or without the 'timeline' prefix (e.g. "entryClick" or "timelineEntryClick")
+	 * @param {function} handler - Called with the event (a CustomEvent, with the event's properties as its 'detail')
+	 * @return {Timeline} - The timeline, so calls can be chained
+	 */
+	on(type, handler) {
+		document.getElementById(this._container).addEventListener(this._eventType(type), handler);
+		return this;
+	}
+	
+	/**
+	 * Stop listening for a timeline event.
+	 * @param {string} type - The event, as for on()
+	 * @param {function} handler - The handler passed to on()
+	 * @return {Timeline} - The timeline, so calls can be chained
+	 */
+	off(type, handler) {
+		document.getElementById(this._container).removeEventListener(this._eventType(type), handler);
+		return this;
+	}
+	
+	/**
+	 * Export the timeline as a single, self-contained SVG document, e.g. for printing or saving as a file.
+	 * Entries, connectors, guides and date axes are included, with all colours inlined.
+	 * @return {string} - The SVG document
+	 */
+	toSVG() {
+		this._checkCreated();
+		return this._diagramInstance.toSVG();
+	}
+	
+	/**
+	 * Redraw the timeline, if it is drawn with the canvas renderer (otherwise this does nothing).
+	 * Call this after changing the classes of entries (e.g. to highlight them), so the change is shown.
+	 */
+	render() {
+		this._checkCreated();
+		this._diagramInstance.render();
+	}
+	
+	/**
+	 * Add a new entry to the timeline, without redrawing the whole diagram.
+	 * @param {object} entry - The entry object, with the same properties as for the 'data' config (see Diagram#_createEntry)
+	 * @return {HTMLElement|null} - The new entry element, or null if it was invalid and skipped (with lenient validation)
+	 * @throws {TimelineValidationError} With strict validation, if the entry is invalid.
+	 */
+	addEntry(entry) {
+		this._checkCreated();
+		const added = this._diagramInstance.addEntry(entry);
+		this._entriesChanged();
+		return added;
+	}
+	
+	/**
+	 * Change an existing entry, without redrawing the whole diagram.
+	 * @param {string} id - The ID of the entry
+	 * @param {object} changes - The properties to change, as for the 'data' config. Set a property to null to remove it.
+	 * @return {boolean} - Whether the change was made (it is skipped if invalid, with lenient validation)
+	 * @throws {TimelineValidationError} With strict validation, if the change is invalid.
+	 */
+	updateEntry(id, changes) {
+		this._checkCreated();
+		const updated = this._diagramInstance.updateEntry(id, changes);
+		this._entriesChanged();
+		return updated;
+	}
+	
+	/**
+	 * Remove an entry from the timeline, without redrawing the whole diagram.
+	 * Relations from other entries to the removed entry are also removed. A fork left with fewer than two entries is removed,
+	 * and reported in a timelineWarning event (unless validation is disabled).
+	 * @param {string} id - The ID of the entry
+	 * @fires Timeline#timelineWarning
+	 */
+	removeEntry(id) {
+		this._checkCreated();
+		this._diagramInstance.removeEntry(id);
+		this._entriesChanged();
+	}
+	
+	/**
+	 * Collapse an entry's descendants (entries reachable via data-become, data-fork, and data-split from it), hiding them
+	 * behind a marker which expands them again when clicked. The rows of the hidden entries are reclaimed.
+	 * @param {string} id - The ID of the entry
+	 * @return {boolean} - Whether the entry was collapsed (it isn't if it has no descendants, or is already collapsed)
+	 * @fires Timeline#timelineCollapse
+	 */
+	collapse(id) {
+		this._checkCreated();
+		return this._diagramInstance.collapse(id);
+	}
+	
+	/**
+	 * Expand a collapsed entry, showing its descendants again.
+	 * @param {string} id - The ID of the entry
+	 * @return {boolean} - Whether the entry was expanded (it isn't if it wasn't collapsed)
+	 * @fires Timeline#timelineExpand
+	 */
+	expand(id) {
+		this._checkCreated();
+		return this._diagramInstance.expand(id);
+	}
+	
+	/**
+	 * Show only the entries matching a filter, either hiding the others (reclaiming their rows) or dimming them in place.
+	 * Connectors to hidden entries are drawn as short dashed stubs. The filter replaces any previous one.
+	 * @param {function|object|null} filter - A function called with each entry's object (as for the 'data' config) and element, which returns whether the entry matches.
+	 * 								Or an object of filters by entry property or data attribute in camel case, each a value, an array of values or a function, which must all match.
+	 * 								The special property 'active' is an array of a start and end date, matching entries active between them. Null to remove the filter.
+	 * @param {string} [mode = "hide"] - What to do with entries which don't match: "hide" or "dim"
+	 * @return {array.<string>} - The IDs of the matching entries
+	 */
+	filter(filter, mode = "hide") {
+		this._checkCreated();
+		const matched = this._diagramInstance.filter(filter, mode);
+		this._entriesChanged();
+		return matched;
+	}
+	
+	/**
+	 * Trace the lineage of an entry: highlight its ancestors and descendants (all entries reachable from it through data-become, data-split,
+	 * data-merge, data-from and data-fork, in either direction of time) and the connectors between them, dimming everything else.
+	 * @param {string|null} id - The ID of the entry, or null to clear the trace
+	 * @param {boolean} [links] - Whether to include the entries linked to the lineage. Defaults to the 'traceLinks' config.
+	 * @return {array.<string>} - The IDs of the traced entries
+	 */
+	trace(id, links = this._config.traceLinks) {
+		this._checkCreated();
+		return this._diagramInstance.trace(id, links);
+	}
+	
+	/**
+	 * Show or hide the text view: an accessible alternative to the diagram, with a table of the shown entries, their dates,
+	 * and their relations to other entries described in words. It is added after the diagram, and kept up to date as entries change.
+	 * The table can be sorted by its columns, and the name of each entry pans to it in the diagram (if Panzoom is enabled, otherwise it is scrolled to).
+	 * @param {boolean} [show] - Whether to show the text view. If omitted, it is toggled.
+	 * @return {boolean} - Whether the text view is shown
+	 */
+	toggleTextView(show = !this._textView) {
+		if (show && !this._textView) {
+			this._checkCreated();
+			this._textView = document.createElement("div");
+			this._textView.id = this._container + "-text-view";
+			this._textView.classList.add("timeline-text-view");
+			(this._pz ? this._diagram.parentElement : this._diagram).after(this._textView);
+			this._updateTextView();
+		} else if (!show && this._textView) {
+			this._textView.remove();
+			this._textView = null;
+		}
+		
+		const toggle = document.getElementById(this._config.textViewToggle);
+		if (toggle) {
+			toggle.setAttribute("aria-expanded", (show ? "true" : "false"));
+		}
+		return show;
+	}
+	
+	/**
+	 * Show or hide the named periods shaded behind the diagram (see the 'periods' config).
+	 * @param {boolean} [show] - Whether to show the periods. If omitted, they are toggled.
+	 * @return {boolean} - Whether the periods are shown
+	 */
+	togglePeriods(show = this._periodsHidden) {
+		this._checkCreated();
+		this._periodsHidden = !show;
+		this._diagramInstance.togglePeriods(show);
+		
+		const toggle = document.getElementById(this._config.periodsToggle);
+		if (toggle) {
+			toggle.setAttribute("aria-pressed", (show ? "true" : "false"));
+		}
+		return show;
+	}
+	
+	/**
+	 * Move the diagram to a named period: if Panzoom is enabled, pan to centre it and reset the zoom, otherwise scroll to its start.
+	 * @param {string} label - The label of the period
+	 */
+	showPeriod(label) {
+		this._checkCreated();
+		const period = this._diagramInstance.getPeriods().find(p => p.label === label);
+		if (!period) {
+			throw new Error(`Can't show period ${label}: no period with this label exists.`);
+		}
+		
+		const vertical = (this._diagramConfig.orientation === "vertical");
+		if (!this._pz) {
+			const band = [...this._diagram.querySelectorAll(":scope > .timeline-period")].find(el => el.dataset.label === label);
+			if (band) {
+				band.scrollIntoView(vertical ? { block: "start", inline: "nearest" } : { block: "nearest", inline: "start" });
+			} else {
+				//Periods drawn on a canvas have no element, so the window is scrolled to the period's start
+				const rect = this._diagram.getBoundingClientRect();
+				window.scrollBy(vertical ? { top: rect.top + period.pos } : { left: rect.left + period.pos });
+			}
+			return;
+		}
+		
+		const time = period.pos;
+		const size = period.size;
+		const pan = this._pz.getPan();
+		this._pz.zoom(1);
+		if (vertical) {
+			this._pz.pan(pan.x, window.innerHeight/2 - time - size/2);
+		} else {
+			this._pz.pan(window.innerWidth/2 - time - size/2, pan.y);
+		}
+	}
+	
+	/**
+	 * Remove the timeline, and restore the container and controls to their state before create() was called.
+	 * Entries generated from data are removed. The timeline can be created again afterwards.
+	 */
+	destroy() {
+		this._checkCreated();
+		for (const [target, type, handler] of this._listeners) {
+			target.removeEventListener(type, handler);
+		}
+		this._listeners = [];
+		
+		this.toggleTextView(false);
+		const toggle = document.getElementById(this._config.textViewToggle);
+		if (toggle) {
+			toggle.removeAttribute("aria-controls");
+			toggle.removeAttribute("aria-expanded");
+		}
+		
+		document.getElementById(this._config.periodsToggle)?.removeAttribute("aria-pressed");
+		for (const option of (this._periodOptions || [])) {
+			option.remove();
+		}
+		this._periodOptions = null;
+		this._periodsHidden = false;
+		
+		if (this._keyboard) {
+			for (const entry of this._diagram.querySelectorAll(":scope > .entry")) {
+				entry.removeAttribute("tabindex");
+			}
+			this._keyboard.status.remove();
+			this._keyboard = null;
+		}
+		
+		if (this._findConfig) {
+			for (const attr of ["role", "aria-autocomplete", "aria-controls", "aria-expanded", "aria-activedescendant"]) {
+				this._findConfig.finder.removeAttribute(attr);
+			}
+			this._findConfig.wrap.replaceWith(this._findConfig.finder);
+			this._findConfig.id.remove();
+			this._findConfig = null;
+		}
+		
+		if (this._pz) {
+			this._pz.destroy();
+			this._pz.resetStyle();
+			const wrap = this._diagram.parentElement;
+			wrap.replaceWith(this._diagram);
+			this._pz = undefined;
+		}
+		
+		if (this._popover) {
+			for (const entry of this._diagram.querySelectorAll(":scope > .entry")) {
+				entry.removeAttribute("tabindex");
+			}
+			this._popover.remove();
+			this._popover = null;
+		}
+		
+		this._traced = null;
+		this._diagramInstance.destroy();
+		this._diagramInstance = null;
+		this._diagram = null;
+	}
+	
+	/**
+	 * Add an event listener, keeping track of it so it can be removed by destroy().
+	 * @private
+	 * @param {EventTarget} target
+	 * @param {string} type
+	 * @param {function} handler
+	 */
+	_listen(target, type, handler) {
+		target.addEventListener(type, handler);
+		this._listeners.push([target, type, handler]);
+	}
+	
+	/**
+	 * Check the timeline has been created, before using its diagram.
+	 * @private
+	 * @throws {Error} If create() hasn't been called, or the timeline has been destroyed since.
+	 */
+	_checkCreated() {
+		if (!this._diagramInstance) {
+			throw new Error("Timeline not created. Call create() before using the timeline.");
+		}
 	}
 	
 	/**
@@ -99,6 +477,7 @@ class Timeline {
 	 * @fires Timeline#timelineFind
 	 */
 	panToEntry(id) {
+		this._checkCreated();
 		if (this._config.panzoom !== true) {
 			throw new Error("Panzoom not enabled. Enable Panzoom to use the pan-to-entry feature.");
 		}
@@ -106,18 +485,19 @@ class Timeline {
 			throw new Error("Panzoom module missing. Include Panzoom to use the pan-to-entry feature.");
 		}
 		
+		this._panTo(id);
 		const target = document.getElementById(id);
-		const x = window.innerWidth/2 - parseInt(target.style.left) - this._diagramConfig.boxWidth/2;
-		const y = window.innerHeight/2 - parseInt(target.style.top) - this._diagramConfig.rowHeight/2;
-				
-		this._pz.zoom(1);
-		this._pz.pan(x, y);
 		
-		const tlFind = new CustomEvent('timelineFind', { detail: { id: id, name: target.innerText } });
-		document.getElementById(this._container).dispatchEvent(tlFind);
+		this._dispatch('timelineFind', { id: id, name: target.innerText });
 		
-		setTimeout( () => { target.classList.add("highlight", "hover") }, 500);	
-		setTimeout( () => { target.classList.remove("highlight", "hover") }, 2000);
+		setTimeout( () => {
+			target.classList.add("highlight", "hover");
+			this._diagramInstance?.render();
+		}, 500);
+		setTimeout( () => {
+			target.classList.remove("highlight", "hover");
+			this._diagramInstance?.render();
+		}, 2000);
 	}
 	
 	/**
@@ -129,6 +509,564 @@ class Timeline {
 	 * @property {string} details.name - the name of the entry
 	 */
 	
+	/**
+	 * timelineWarning event.
+	 * Emitted on the container when validation is lenient and problems were found in the entry data.
+	 * Unless a listener calls preventDefault() on the event, each problem is also logged with console.warn().
+	 * @event Timeline#timelineWarning
+	 * @type {object}
+	 * @property {object} details
+	 * @property {array.<object>} details.problems - the problems found, each with 'type', 'id', 'attribute' and 'message' properties
+	 */
+	
+	/**
+	 * timelineCollapse event.
+	 * Emitted on the container when an entry is collapsed.
+	 * @event Timeline#timelineCollapse
+	 * @type {object}
+	 * @property {object} details
+	 * @property {string} details.id - the ID of the collapsed entry
+	 * @property {array.<string>} details.hidden - the IDs of the entries hidden
+	 */
+	
+	/**
+	 * timelineExpand event.
+	 * Emitted on the container when a collapsed entry is expanded.
+	 * @event Timeline#timelineExpand
+	 * @type {object}
+	 * @property {object} details
+	 * @property {string} details.id - the ID of the expanded entry
+	 * @property {array.<string>} details.shown - the IDs of the entries shown again
+	 */
+	
+	/**
+	 * timelineReady event.
+	 * Emitted on the container when the timeline has been created.
+	 * @event Timeline#timelineReady
+	 * @type {object}
+	 * @property {object} details
+	 */
+	
+	/**
+	 * timelineEntryClick event.
+	 * Emitted on the container when an entry is clicked.
+	 * @event Timeline#timelineEntryClick
+	 * @type {object}
+	 * @property {object} details
+	 * @property {string} details.id - the ID of the entry
+	 * @property {string} details.name - the name of the entry
+	 */
+	
+	/**
+	 * timelineEntryHover event.
+	 * Emitted on the container when the pointer moves onto an entry, and when it leaves it.
+	 * @event Timeline#timelineEntryHover
+	 * @type {object}
+	 * @property {object} details
+	 * @property {string} details.id - the ID of the entry
+	 * @property {string} details.name - the name of the entry
+	 * @property {boolean} details.hover - true when the pointer moves onto the entry, false when it leaves
+	 */
+	
+	/**
+	 * timelineConnectorClick event.
+	 * Emitted on the container when a connector between entries is clicked.
+	 * @event Timeline#timelineConnectorClick
+	 * @type {object}
+	 * @property {object} details
+	 * @property {string} details.type - the type of connector: "end", "become", "merge", "split", "fork", "link" or "stub"
+	 * @property {string} details.source - the ID of the entry the connector joins from, in the direction of time
+	 * @property {string|null} details.target - the ID of the entry the connector joins to (null for an end)
+	 * @property {string} details.entry - the ID of the entry the connector is drawn from
+	 */
+	
+	/**
+	 * timelineEventClick event.
+	 * Emitted on the container when the label of an event across the diagram, or the marker of an event on an entry, is clicked.
+	 * @event Timeline#timelineEventClick
+	 * @type {object}
+	 * @property {object} details - the event object (with its 'date', 'label' and any other properties given), and:
+	 * @property {string|null} details.entry - the ID of the entry the event is on, or null for an event across the diagram
+	 */
+	
+	/**
+	 * timelineViewportChange event.
+	 * Emitted on the container when the visible part of the diagram changes: when it is panned or zoomed, or the window is scrolled or resized.
+	 * @event Timeline#timelineViewportChange
+	 * @type {object}
+	 * @property {object} details
+	 * @property {number} details.scale - the scale the diagram is displayed at
+	 * @property {number} details.x - the visible area in px, in the diagram's own coordinates (as are y, w and h)
+	 * @property {number} details.y
+	 * @property {number} details.w
+	 * @property {number} details.h
+	 * @property {number} details.start - the first visible date, as a (possibly fractional) year
+	 * @property {number} details.end - the last visible date
+	 */
+	
+	/**
+	 * Pan to centre the entry with the given ID, and reset the zoom. Panzoom must be enabled.
+	 * @private
+	 * @param {string} id
+	 */
+	_panTo(id) {
+		//Show the entry if it is hidden in a collapsed branch
+		this._diagramInstance.reveal(id);
+		
+		const box = this._diagramInstance.getBox(id);
+		//Box dimensions are transposed if the diagram is vertical
+		const [w, h] = (this._diagramConfig.orientation === "vertical" ? [this._diagramConfig.rowHeight, this._diagramConfig.boxWidth] : [this._diagramConfig.boxWidth, this._diagramConfig.rowHeight]);
+		const x = window.innerWidth/2 - box.x - w/2;
+		const y = window.innerHeight/2 - box.y - h/2;
+				
+		this._pz.zoom(1);
+		this._pz.pan(x, y);
+	}
+	
+	/**
+	 * Trace entries' lineages as they are hovered over or focused, or clicked, according to the 'trace' config.
+	 * When traced on click, clicking the entry again, or anywhere else in the diagram, clears the trace.
+	 * @private
+	 */
+	_initTrace() {
+		if (this._config.trace === "hover") {
+			const enter = (e) => {
+				const entry = this._getEventEntry(e);
+				if (entry) this.trace(entry.id);
+			};
+			const leave = (e) => {
+				const entry = this._getEventEntry(e);
+				if (entry && !entry.contains(e.relatedTarget)) this.trace(null);
+			};
+			this._listen(this._diagram, 'mouseover', enter);
+			this._listen(this._diagram, 'mouseout', leave);
+			this._listen(this._diagram, 'focusin', enter);
+			this._listen(this._diagram, 'focusout', leave);
+			return;
+		}
+		
+		this._listen(this._diagram, 'click', (e) => {
+			const entry = this._getEventEntry(e);
+			const traced = (entry && entry.id === this._traced && entry.classList.contains("timeline-traced"));
+			this._traced = (entry && !traced ? entry.id : null);
+			this.trace(this._traced);
+		});
+	}
+	
+	/**
+	 * Show a popover with the details of an entry while it is hovered over or focused. Clicking (or tapping) an entry keeps its
+	 * popover open until the entry is clicked again, something else is clicked, or the Escape key is pressed.
+	 * Without keyboard navigation, each shown entry is made a tab stop, so the popovers can be reached with the keyboard.
+	 * @private
+	 */
+	_initPopover() {
+		this._popover = new EntryPopover(this._container + "-popover");
+		this._popoverPinned = false;
+		(this._pz ? this._diagram.parentElement : this._diagram).after(this._popover.element);
+		this._updatePopoverTabStops();
+		
+		const enter = (e) => {
+			const entry = this._getEventEntry(e);
+			if (entry && !this._popoverPinned) this._openPopover(entry, false);
+		};
+		const leave = (e) => {
+			const entry = this._getEventEntry(e);
+			if (entry && !entry.contains(e.relatedTarget) && !this._popoverPinned) this._closePopover();
+		};
+		this._listen(this._diagram, 'mouseover', enter);
+		this._listen(this._diagram, 'mouseout', leave);
+		this._listen(this._diagram, 'focusin', enter);
+		this._listen(this._diagram, 'focusout', leave);
+		
+		this._listen(document, 'click', (e) => {
+			const entry = (e.target instanceof Element ? this._getEventEntry(e) : null);
+			if (entry && !(this._popoverPinned && this._popover.entry === entry)) {
+				this._openPopover(entry, true);
+			} else if (!this._popover.element.contains(e.target)) {
+				this._closePopover();
+			}
+		});
+		this._listen(document, 'keydown', (e) => {
+			if (e.key === "Escape" && this._popover.entry) {
+				this._closePopover();
+			}
+		});
+		
+		const position = () => this._positionPopover();
+		if (this._pz) {
+			this._listen(this._diagram, 'panzoomchange', position);
+		}
+		this._listen(window, 'scroll', position);
+		this._listen(window, 'resize', position);
+	}
+	
+	/**
+	 * Show the popover for an entry.
+	 * @private
+	 * @param {HTMLElement} entry
+	 * @param {boolean} pinned - Whether the popover stays open when the entry is no longer hovered over or focused
+	 */
+	_openPopover(entry, pinned) {
+		const entries = this._diagramInstance.getEntries();
+		const obj = entries.find(item => item.id === entry.id);
+		if (!obj) return;
+		
+		this._popoverPinned = pinned;
+		this._popover.show(entry, obj, new TextView(entries));
+		this._positionPopover();
+	}
+	
+	/**
+	 * Hide the popover.
+	 * @private
+	 */
+	_closePopover() {
+		this._popoverPinned = false;
+		this._popover.hide();
+	}
+	
+	/**
+	 * Position the popover next to its entry, kept within the part of the diagram on screen (the Panzoom viewport, if enabled).
+	 * @private
+	 */
+	_positionPopover() {
+		const entry = this._popover?.entry;
+		if (!entry) return;
+		
+		let box = entry.getBoundingClientRect();
+		if (!box.width) {
+			//Entries drawn on a canvas have no box of their own, so it is found from the layout
+			const rect = this._diagram.getBoundingClientRect();
+			const scale = (rect.width / parseFloat(this._diagram.style.width)) || 1;
+			const {x, y, w, h} = this._diagramInstance.getBox(entry.id);
+			const left = rect.left + x * scale;
+			const top = rect.top + y * scale;
+			box = { left: left, top: top, right: left + w * scale, bottom: top + h * scale };
+		}
+		
+		const area = (this._pz ? this._diagram.parentElement.getBoundingClientRect() : { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight });
+		this._popover.position(box, {
+			left: Math.max(area.left, 0),
+			top: Math.max(area.top, 0),
+			right: Math.min(area.right, window.innerWidth),
+			bottom: Math.min(area.bottom, window.innerHeight)
+		});
+	}
+	
+	/**
+	 * Emit the timeline events for interactions with entries and connectors, and changes to the visible part of the diagram.
+	 * @private
+	 * @fires Timeline#timelineEntryClick
+	 * @fires Timeline#timelineEntryHover
+	 * @fires Timeline#timelineConnectorClick
+	 * @fires Timeline#timelineViewportChange
+	 */
+	_initEvents() {
+		this._listen(this._diagram, 'click', (e) => {
+			const entry = this._getEventEntry(e);
+			if (entry) {
+				this._dispatch('timelineEntryClick', { id: entry.id, name: entry.innerText });
+				return;
+			}
+			//Only clicks on the line itself, not the rest of the connector's SVG element
+			const connector = e.target.closest("svg[data-source], g[data-source]");
+			if (connector && connector !== e.target) {
+				this._dispatch('timelineConnectorClick', {
+					type: ["end", "become", "merge", "split", "fork", "link", "stub"].find(type => connector.classList.contains(type)),
+					source: connector.dataset.source,
+					target: connector.dataset.target || null,
+					entry: (connector.dataset.entry || connector.parentElement.dataset.entry)
+				});
+				return;
+			}
+			//Connectors drawn on a canvas have no element, so are found from their settings
+			const settings = this._diagramInstance.connectorAt(e.clientX, e.clientY);
+			if (settings) {
+				this._dispatch('timelineConnectorClick', { type: settings.type, source: settings.source, target: settings.target, entry: settings.entry });
+			}
+		});
+		
+		const hover = (e, over) => {
+			const entry = this._getEventEntry(e);
+			if (entry && !entry.contains(e.relatedTarget)) {
+				this._dispatch('timelineEntryHover', { id: entry.id, name: entry.innerText, hover: over });
+			}
+		};
+		this._listen(this._diagram, 'mouseover', (e) => hover(e, true));
+		this._listen(this._diagram, 'mouseout', (e) => hover(e, false));
+		
+		const viewport = () => this._dispatch('timelineViewportChange', this._diagramInstance.getViewport());
+		if (this._pz) {
+			this._listen(this._diagram, 'panzoomchange', viewport);
+		}
+		this._listen(window, 'scroll', viewport);
+		this._listen(window, 'resize', viewport);
+	}
+	
+	/**
+	 * Get the entry an event on the diagram is for, if any.
+	 * @private
+	 * @param {Event} e
+	 * @return {HTMLElement|null}
+	 */
+	_getEventEntry(e) {
+		const entry = e.target.closest(".entry");
+		return (entry && this._diagram.contains(entry) ? entry : null);
+	}
+	
+	/**
+	 * Get the DOM event type for a timeline event, adding the 'timeline' prefix if needed.
+	 * @private
+	 * @param {string} type - E.g. "entryClick" or "timelineEntryClick"
+	 * @return {string}
+	 */
+	_eventType(type) {
+		return (type.startsWith("timeline") ? type : "timeline" + type[0].toUpperCase() + type.slice(1));
+	}
+	
+	/**
+	 * Dispatch a timeline event on the container.
+	 * @private
+	 * @param {string} type
+	 * @param {object} detail
+	 */
+	_dispatch(type, detail) {
+		document.getElementById(this._container).dispatchEvent(new CustomEvent(type, { detail: detail }));
+	}
+	
+	/**
+	 * Bind the text view toggle to the configured element ID, if present in the document.
+	 * @private
+	 */
+	_initTextViewToggle() {
+		const toggle = document.getElementById(this._config.textViewToggle);
+		if (!toggle) return;
+		
+		toggle.setAttribute("aria-controls", this._container + "-text-view");
+		toggle.setAttribute("aria-expanded", "false");
+		this._listen(toggle, 'click', () => this.toggleTextView());
+	}
+	
+	/**
+	 * Bind the periods toggle and period select to the configured element IDs, if present in the document.
+	 * An option is added to the select for each period, after any already in it (e.g. a prompt).
+	 * @private
+	 */
+	_initPeriodControls() {
+		this._periodsHidden = false;
+		
+		const toggle = document.getElementById(this._config.periodsToggle);
+		if (toggle) {
+			toggle.setAttribute("aria-pressed", "true");
+			this._listen(toggle, 'click', () => this.togglePeriods());
+		}
+		
+		const select = document.getElementById(this._config.periodSelect);
+		if (!select) return;
+		
+		this._periodOptions = [];
+		for (const period of this._diagramInstance.getPeriods()) {
+			const option = document.createElement("option");
+			option.value = period.label;
+			option.append(document.createTextNode(period.label));
+			this._periodOptions.push(option);
+			select.append(option);
+		}
+		this._listen(select, 'change', () => {
+			if (this._periodOptions.some(option => option.selected)) {
+				this.showPeriod(select.value);
+			}
+		});
+	}
+	
+	/**
+	 * Make the text view match the entries, if it is shown, keeping the order it is sorted in.
+	 * @private
+	 */
+	_updateTextView() {
+		if (!this._textView) return;
+		
+		const old = this._textView.querySelector("table");
+		const sorted = old && old.querySelector("th[aria-sort]");
+		
+		const view = new TextView(this._diagramInstance.getEntries());
+		const table = view.createTable((id) => this._showEntry(id));
+		if (sorted) {
+			view.sortTable(table, sorted.dataset.sort, sorted.getAttribute("aria-sort") === "descending");
+		}
+		this._textView.replaceChildren(table);
+	}
+	
+	/**
+	 * Update the parts of the timeline which depend on the shown entries, after entries are changed, hidden or shown.
+	 * @private
+	 */
+	_entriesChanged() {
+		this._updateTabStop();
+		this._updateTextView();
+		this._updatePopover();
+	}
+	
+	/**
+	 * Make the popover match its entry, if it is shown, or hide it if the entry has been removed or hidden.
+	 * @private
+	 */
+	_updatePopover() {
+		this._updatePopoverTabStops();
+		const entry = this._popover?.entry;
+		if (!entry) return;
+		
+		if (this._diagram.contains(entry) && this._diagramInstance.getEntries().some(obj => obj.id === entry.id)) {
+			this._openPopover(entry, this._popoverPinned);
+		} else {
+			this._closePopover();
+		}
+	}
+	
+	/**
+	 * Make each shown entry a tab stop for its popover, unless keyboard navigation is enabled (which has its own single tab stop).
+	 * @private
+	 */
+	_updatePopoverTabStops() {
+		if (!this._popover || this._keyboard) return;
+		
+		for (const entry of this._diagram.querySelectorAll(":scope > .entry")) {
+			if (entry.hidden) {
+				entry.removeAttribute("tabindex");
+			} else {
+				entry.tabIndex = 0;
+			}
+		}
+	}
+	
+	/**
+	 * Show an entry selected in the text view: pan to it if Panzoom is enabled, otherwise scroll to it.
+	 * It is focused if keyboard navigation is enabled.
+	 * @private
+	 * @param {string} id
+	 */
+	_showEntry(id) {
+		const entry = document.getElementById(id);
+		if (this._pz) {
+			this.panToEntry(id);
+		} else if (entry.getClientRects().length) {
+			entry.scrollIntoView({ block: "center", inline: "center" });
+		} else {
+			//Entries drawn on a canvas have no box of their own, so the window is scrolled to their box in the layout
+			const rect = this._diagram.getBoundingClientRect();
+			const box = this._diagramInstance.getBox(id);
+			window.scrollBy(rect.left + box.x + box.w/2 - window.innerWidth/2, rect.top + box.y + box.h/2 - window.innerHeight/2);
+		}
+		if (this._keyboard) {
+			entry.focus({ preventScroll: true });
+		}
+	}
+	
+	/**
+	 * Make the entries focusable, with a single tab stop for the diagram, and move around them with the arrow keys.
+	 * A live region announces the relations of each entry as it is focused.
+	 * @private
+	 */
+	_initKeyboard() {
+		const status = document.createElement("div");
+		status.setAttribute("role", "status");
+		status.classList.add("timeline-sr-only");
+		this._diagram.append(status);
+		
+		this._keyboard = {
+			status: status,
+			current: null
+		}
+		this._updateTabStop();
+		
+		this._listen(this._diagram, 'focusin', (e) => this._entryFocus(e));
+		this._listen(this._diagram, 'keydown', (e) => this._entryKeydown(e));
+	}
+	
+	/**
+	 * Make the current entry the only one reached with the tab key (the others can still be focused with the arrow keys).
+	 * If the current entry has been removed or hidden, the first shown entry is used instead.
+	 * @private
+	 */
+	_updateTabStop() {
+		if (!this._keyboard) return;
+		
+		const entries = [...this._diagram.querySelectorAll(":scope > .entry")];
+		let current = this._keyboard.current;
+		if (!current || !entries.includes(current) || current.hidden) {
+			current = entries.find(entry => !entry.hidden) || null;
+		}
+		for (const entry of entries) {
+			entry.tabIndex = (entry === current ? 0 : -1);
+		}
+		this._keyboard.current = current;
+	}
+	
+	/**
+	 * When an entry is focused, make it the tab stop, pan to it (if Panzoom is enabled), and announce it.
+	 * @private
+	 * @param {FocusEvent} e
+	 */
+	_entryFocus(e) {
+		const entry = e.target;
+		if (!entry.classList.contains("entry")) return;
+		
+		this._keyboard.current = entry;
+		this._updateTabStop();
+		if (this._pz) {
+			this._panTo(entry.id);
+		}
+		this._keyboard.status.textContent = this._describeEntry(entry.id);
+	}
+	
+	/**
+	 * Move the focus with the arrow keys. Along the time axis, they follow the relations to the next or previous entry
+	 * (see Diagram#getAdjacent()), and across it they move to the nearest entry in the adjacent rows.
+	 * @private
+	 * @param {KeyboardEvent} e
+	 */
+	_entryKeydown(e) {
+		const entry = e.target;
+		if (!entry.classList.contains("entry")) return;
+		
+		const keys = (this._diagramConfig.orientation === "vertical"
+			? { ArrowDown: "next", ArrowUp: "previous", ArrowLeft: "above", ArrowRight: "below" }
+			: { ArrowRight: "next", ArrowLeft: "previous", ArrowUp: "above", ArrowDown: "below" });
+		const direction = keys[e.key];
+		if (!direction) return;
+		e.preventDefault();
+		
+		const id = this._diagramInstance.getAdjacent(entry.id, direction);
+		if (!id) {
+			const messages = {
+				next: "No later entry is related to this one",
+				previous: "No earlier entry is related to this one",
+				above: "No entry in that direction",
+				below: "No entry in that direction"
+			};
+			this._keyboard.status.textContent = messages[direction];
+			return;
+		}
+		
+		const target = document.getElementById(id);
+		this._keyboard.current = target;
+		this._updateTabStop();
+		//Panzoom moves the diagram to the entry instead of scrolling
+		target.focus({ preventScroll: Boolean(this._pz) });
+	}
+	
+	/**
+	 * Describe an entry and its relations to other entries, for screen readers.
+	 * @private
+	 * @param {string} id
+	 * @return {string}
+	 */
+	_describeEntry(id) {
+		const view = new TextView(this._diagramInstance.getEntries());
+		const name = document.getElementById(id).textContent.trim();
+		return `${name}, ${view.describeDates(id)}. ${view.describe(id)}`.trim();
+	}
+	
 	/**
 	 * Bind the zoom controls to the configured element IDs, if present in the document.
 	 * Prepare empty container for entry filter if find form is present.
@@ -140,9 +1078,9 @@ class Timeline {
 		const reset = document.getElementById(this._config.zoomReset);
 		const find = document.getElementById(this._config.findForm);
 		
-		if(zoomIn) { zoomIn.addEventListener("click", this._pz.zoomIn) }
-		if(zoomOut) { zoomOut.addEventListener("click", this._pz.zoomOut) }
-		if(reset) { reset.addEventListener("click", () => this._pz.zoom(1)) }
+		if(zoomIn) { this._listen(zoomIn, "click", this._pz.zoomIn) }
+		if(zoomOut) { this._listen(zoomOut, "click", this._pz.zoomOut) }
+		if(reset) { this._listen(reset, "click", () => this._pz.zoom(1)) }
 		if(find) {
 			this._initFindForm(find);
 		}
@@ -173,6 +1111,20 @@ class Timeline {
 		//Get rid of browser suggestions
 		finder.autocomplete = "off";
 		
+		//The input and results are a combobox and its listbox, for assistive technology
+		results.id = form.id + "-results";
+		results.setAttribute("role", "listbox");
+		finder.setAttribute("role", "combobox");
+		finder.setAttribute("aria-autocomplete", "list");
+		finder.setAttribute("aria-controls", results.id);
+		finder.setAttribute("aria-expanded", "false");
+		
+		//Live region announcing the number of results
+		const status = document.createElement("div");
+		status.setAttribute("role", "status");
+		status.classList.add("timeline-sr-only");
+		wrap.appendChild(status);
+		
 		//Set results container width to match the input
 		inner.style.width = finder.offsetWidth + "px";
 		
@@ -181,74 +1133,182 @@ class Timeline {
 			form: form,
 			finder: finder,
 			id: idInput,
-			results: results
-			
+			results: results,
+			status: status,
+			wrap: wrap
 		}
 		this._findConfig = findConfig;
 		
 		//Stop refresh keeping a previous value (which won't be valid without corresponding ID)
 		findConfig.finder.value = "";
 		
-		form.addEventListener('input', (e) => this._showEntryOptions(e));
-		form.addEventListener('submit', (e) => this._findSubmit(e))
-		results.addEventListener('click', (e) => this._selectFilteredEntry(e) );
+		this._listen(form, 'input', (e) => this._showEntryOptions(e));
+		this._listen(form, 'submit', (e) => this._findSubmit(e));
+		this._listen(finder, 'keydown', (e) => this._findKeydown(e));
+		this._listen(results, 'click', (e) => this._selectFilteredEntry(e));
 	}
 	
 	/**
 	 * Add entries to the "#filtered-entries", filtered by the value of the event-triggering input.
+	 * The matched part of each entry's name is highlighted, or of its alias or ID (shown after the name) if that matched instead.
 	 * @private
 	 * @param {object} e
 	 */
 	_showEntryOptions(e) {
 		const val = e.target.value;
 		if (val.trim() === "") {
-			this._findConfig.results.innerHTML = "";
+			this._closeEntryOptions();
 			return null;
 		}
 		
 		const filtered = this._filterEntries(val);
 		const results = this._findConfig.results;
-		results.innerHTML = "";
+		this._closeEntryOptions();
 		
 		for (const entry of filtered) {
 			const item = document.createElement("li");
+			item.id = results.id + "-" + entry.id;
+			item.setAttribute("role", "option");
+			item.setAttribute("aria-selected", "false");
 			item.dataset.id = entry.id;
-			item.innerText = entry.name;
+			item.dataset.name = entry.name;
+			if (entry.field === "name") {
+				item.append(this._highlightMatch(entry.text, entry.ranges));
+			} else {
+				const alias = document.createElement("span");
+				alias.classList.add("filtered-entries-alias");
+				alias.append(this._highlightMatch(entry.text, entry.ranges));
+				item.append(document.createTextNode(entry.name + " "), alias);
+			}
 			results.append(item);
 		}
+		
+		this._findConfig.finder.setAttribute("aria-expanded", (filtered.length > 0 ? "true" : "false"));
+		const count = filtered.length;
+		this._findConfig.status.textContent = (count === 0 ? "No entries found" : `${count} ${count === 1 ? "entry" : "entries"} found`);
 	}
 	
 	/**
-	 * Filter the list of entries to match the provided search string.
+	 * Empty and close the list of filtered entries.
+	 * @private
+	 */
+	_closeEntryOptions() {
+		this._findConfig.results.innerHTML = "";
+		this._findConfig.status.textContent = "";
+		this._findConfig.finder.setAttribute("aria-expanded", "false");
+		this._findConfig.finder.removeAttribute("aria-activedescendant");
+	}
+	
+	/**
+	 * Handle keys in the find input: the up and down arrows move through the filtered entries,
+	 * Enter selects the current one (or the first, if none is current), and Escape closes the list, or clears the input if already closed.
+	 * @private
+	 * @param {KeyboardEvent} e
+	 */
+	_findKeydown(e) {
+		const options = [...this._findConfig.results.children];
+		const current = options.findIndex(option => option.getAttribute("aria-selected") === "true");
+		
+		switch (e.key) {
+			case "ArrowDown":
+			case "ArrowUp": {
+				if (options.length === 0) return;
+				e.preventDefault();
+				const step = (e.key === "ArrowDown" ? 1 : -1);
+				const next = (current === -1 ? (step === 1 ? 0 : options.length - 1) : (current + step + options.length) % options.length);
+				this._setCurrentOption(options[next]);
+				break;
+			}
+			case "Enter":
+				if (options.length === 0) return;
+				e.preventDefault();
+				this._selectOption(options[Math.max(current, 0)]);
+				break;
+			case "Escape":
+				e.preventDefault();
+				if (options.length > 0) {
+					this._closeEntryOptions();
+				} else {
+					this._findConfig.finder.value = "";
+				}
+				break;
+		}
+	}
+	
+	/**
+	 * Make one of the filtered entries the current option, as the input's active descendant.
+	 * @private
+	 * @param {HTMLElement} option
+	 */
+	_setCurrentOption(option) {
+		for (const other of this._findConfig.results.children) {
+			other.setAttribute("aria-selected", (other === option ? "true" : "false"));
+		}
+		this._findConfig.finder.setAttribute("aria-activedescendant", option.id);
+		option.scrollIntoView({ block: "nearest" });
+	}
+	
+	/**
+	 * Filter the list of entries to match the provided search string, by name, alias (data-aliases) or ID.
+	 * Matching ignores case and diacritics, and allows for typos (see EntrySearch). The best matches are first.
 	 * @private
 	 * @param {string} search
-	 * @return {array}
+	 * @return {array.<object>} - The matches, as returned by EntrySearch#search()
 	 */
 	_filterEntries(search) {
-		const filtered = [...document.querySelectorAll(".entry")]
+		const entries = [...this._diagram.querySelectorAll(":scope > .entry")]
 		.map(entry => {
-			return { "id": entry.id, "name": entry.innerText }
-		})
-		.filter(entry => {
-			return entry.name.toLowerCase().includes(search.toLowerCase());
+			const aliases = (entry.dataset.aliases ? entry.dataset.aliases.split(",") : []);
+			return { "id": entry.id, "name": entry.textContent.trim(), "aliases": aliases.map(a => a.trim()).filter(a => a !== "") }
 		});
-		return filtered;
+		return new EntrySearch(entries).search(search);
+	}
+	
+	/**
+	 * Make the text of a search result, with the matched ranges in mark elements.
+	 * @private
+	 * @param {string} text
+	 * @param {array.<array.<number>>} ranges - The start and end index of each matched range
+	 * @return {DocumentFragment}
+	 */
+	_highlightMatch(text, ranges) {
+		const fragment = document.createDocumentFragment();
+		let pos = 0;
+		for (const [start, end] of ranges) {
+			fragment.append(document.createTextNode(text.slice(pos, start)));
+			const mark = document.createElement("mark");
+			mark.append(document.createTextNode(text.slice(start, end)));
+			fragment.append(mark);
+			pos = end;
+		}
+		fragment.append(document.createTextNode(text.slice(pos)));
+		return fragment;
 	}
 	
 	/**
-	 * Submit the clicked entry in the filtered list.
+	 * Select the clicked entry in the filtered list.
 	 * @private
 	 * @param {object} e
 	 */
 	_selectFilteredEntry(e) {
-		if(e.target.localName !== "li") return null;
+		const item = e.target.closest("li");
+		if(!item) return null;
 		
+		this._selectOption(item);
+	}
+	
+	/**
+	 * Select one of the filtered entries, submitting the form to pan to it.
+	 * @private
+	 * @param {HTMLElement} item
+	 */
+	_selectOption(item) {
 		const form = this._findConfig.form;
 		const finder = this._findConfig.finder;
 		const id = this._findConfig.id;
 		
-		finder.value = e.target.innerText;
-		id.value = e.target.dataset.id;
+		finder.value = item.dataset.name;
+		id.value = item.dataset.id;
 		
 		form.requestSubmit();
 	}
@@ -268,7 +1328,7 @@ class Timeline {
 		
 		if(document.getElementById(find)) this.panToEntry(find);
 
-		this._findConfig.results.innerHTML = "";
+		this._closeEntryOptions();
 		this._findConfig.finder.value = "";
 	}
 	
@@ -298,7 +1358,9 @@ class Timeline {
 				event.preventDefault()
 			}
 		});
-		this._diagram.parentElement.addEventListener('wheel', this._pz.zoomWithWheel);
+		this._listen(this._diagram.parentElement, 'wheel', this._pz.zoomWithWheel);
+		this._listen(this._diagram, 'panzoomzoom', (e) => this._diagramInstance.setScale(e.detail.scale));
+		this._listen(this._diagram, 'panzoomchange', () => this._diagramInstance.render());
 	}
 	
 	/**
@@ -1,3 +1,28 @@
+/**
+ * The metrics of entry names, matching the stylesheet, shared by everything which places or draws them:
+ * - size: the font size in px
+ * - lineHeight: the height in px of each line
+ * - inset: the space in px taken by an entry box's border and padding on each side
+ * - labelPadding: the padding in px either side of a label placed outside its entry
+ * - charWidth: the average width of a character, relative to the font size, to estimate the width of text which can't be measured
+ */
+const entryText = {
+	size: 12,
+	lineHeight: 14.4,
+	inset: 5,
+	labelPadding: 2,
+	charWidth: 0.55
+};
+
+/**
+ * Estimate the width in px of a string in the font of entry names, for when it can't be measured.
+ * @param {string} str
+ * @return {number}
+ */
+function estimateTextWidth(str) {
+	return str.length * entryText.size * entryText.charWidth;
+}
+
 /**
  * Takes a config object and a default config object and returns a final config with all config modifcations applied.
  * Ensures no unwanted properties are passed in config.
@@ -18,4 +43,81 @@ function applyConfig(defaults, conf) {
 	return c;
 }
 
-export {applyConfig}
+/**
+ * Convert a date to a (possibly fractional) year.
+ * Accepts a year (as a number or string), or an ISO date string of the form YYYY-MM or YYYY-MM-DD.
+ * Months are treated as equal divisions of the year, with days dividing each month.
+ * @param {number|string} date
+ * @return {number} - The year, or NaN if the date is not valid.
+ */
+function parseDate(date) {
+	if (typeof date === "number") return date;
+	if (typeof date !== "string") return NaN;
+	
+	const parts = /^\s*(-?\d+(?:\.\d+)?)(?:-(\d{1,2})(?:-(\d{1,2}))?)?\s*$/.exec(date);
+	if (!parts) return NaN;
+	
+	let year = parseFloat(parts[1]);
+	if (parts[2] === undefined) return year;
+	
+	const month = parseInt(parts[2]);
+	if (month < 1 || month > 12) return NaN;
+	year += (month - 1) / 12;
+	
+	if (parts[3] !== undefined) {
+		const day = parseInt(parts[3]);
+		const days = new Date(parseInt(parts[1]), month, 0).getDate();
+		if (day < 1 || day > days) return NaN;
+		year += (day - 1) / (12 * days);
+	}
+	return year;
+}
+
+/**
+ * Check if a date is more precise than a year (i.e. an ISO date with a month).
+ * @param {number|string} date
+ * @return {boolean}
+ */
+function isSubYearDate(date) {
+	return typeof date === "string" && /^\s*-?\d+-\d/.test(date);
+}
+
+/**
+ * The smallest step in years at the precision of the given date: one month for sub-year dates, otherwise one year.
+ * Months are the finest step, so dates with a day step by a month too.
+ * @param {number|string} date
+ * @return {number}
+ */
+function dateStep(date) {
+	return isSubYearDate(date) ? 1/12 : 1;
+}
+
+/**
+ * Get the area of a diagram container visible in the window (and any ancestors which clip it, such as the panzoom wrapper),
+ * in the diagram's own coordinates.
+ * @param {HTMLElement} container - The diagram container, with its width and height set in px
+ * @return {object} - x, y, w and h, and the scale the diagram is displayed at
+ */
+function getVisibleRegion(container) {
+	const rect = container.getBoundingClientRect();
+	const scale = (rect.width / parseFloat(container.style.width)) || 1;
+	const clip = { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight };
+	
+	for (let el = container.parentElement; el && el !== document.body; el = el.parentElement) {
+		if (window.getComputedStyle(el).overflow === "visible") continue;
+		const r = el.getBoundingClientRect();
+		clip.left = Math.max(clip.left, r.left);
+		clip.top = Math.max(clip.top, r.top);
+		clip.right = Math.min(clip.right, r.right);
+		clip.bottom = Math.min(clip.bottom, r.bottom);
+	}
+	
+	const x = Math.max(0, Math.floor((clip.left - rect.left) / scale));
+	const y = Math.max(0, Math.floor((clip.top - rect.top) / scale));
+	const right = Math.min(parseFloat(container.style.width), Math.ceil((clip.right - rect.left) / scale));
+	const bottom = Math.min(parseFloat(container.style.height), Math.ceil((clip.bottom - rect.top) / scale));
+	
+	return { x: x, y: y, w: right - x, h: bottom - y, scale: scale };
+}
+
+export {entryText, estimateTextWidth, applyConfig, parseDate, isSubYearDate, dateStep, getVisibleRegion}
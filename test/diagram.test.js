@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const script = fs.readFileSync(path.join(__dirname, "../dist/timeline.js"), "utf8");
+
+/**
+ * Load the timeline script into a page with the given entries in the diagram container. The page's console is discarded.
+ * @param {string} entries - The HTML of the entries
+ * @return {Window}
+ */
+function load(entries) {
+	const dom = new JSDOM(`<!DOCTYPE html><div id="diagram">${entries}</div>`, { runScripts: "outside-only", pretendToBeVisual: true, virtualConsole: new VirtualConsole() });
+	dom.window.eval(script);
+	return dom.window;
+}
+
+test("entries with relations to missing IDs don't throw without validation", () => {
+	const window = load(`
+		<div id="A" data-start="1950" data-become="X">A</div>
+		<div id="B" data-start="1955" data-fork="Y Z">B</div>
+		<div id="C" data-start="1960" data-end="1970" data-group="c">C</div>
+	`);
+	const timeline = new window.Timeline("diagram", { yearStart: 1950, yearEnd: 2000, validation: false });
+	timeline.create();
+
+	//A and B continue to the end of the diagram, as their relations are ignored
+	assert.deepStrictEqual([...timeline.filter({ active: [1990, 1995] })], ["A", "B"]);
+	assert.deepStrictEqual([...timeline.filter({ group: "c" })], ["C"]);
+	timeline.filter(null);
+
+	timeline.toggleTextView(true);
+	const rows = window.document.querySelectorAll("#diagram-text-view tbody tr");
+	assert.strictEqual(rows.length, 3);
+});
+
+test("destroy() restores the attributes which lenient validation dropped", () => {
+	const window = load(`
+		<div id="A" data-start="1950" data-end="1940" data-become="X" data-events='[{"date":1960,"label":"E"},{"label":"No date"}]'>A</div>
+		<div id="B" data-start="1955" data-fork="A Y">B</div>
+	`);
+	const container = window.document.getElementById("diagram");
+	const before = container.innerHTML;
+	const timeline = new window.Timeline("diagram", { yearStart: 1950, yearEnd: 2000, validation: "lenient" });
+	timeline.create();
+	assert.strictEqual(window.document.getElementById("A").dataset.become, undefined);
+
+	timeline.destroy();
+	assert.strictEqual(container.innerHTML, before);
+});
+
+test("lenient validation logs problems unless the warning event is handled", () => {
+	const entries = `<div id="A" data-start="1940">A</div><div id="B" data-start="1960">B</div>`;
+	for (const handled of [false, true]) {
+		const window = load(entries);
+		const warnings = [];
+		window.console.warn = (message) => warnings.push(message);
+		if (handled) {
+			window.document.getElementById("diagram").addEventListener("timelineWarning", (e) => e.preventDefault());
+		}
+		const timeline = new window.Timeline("diagram", { yearStart: 1950, yearEnd: 2000 });
+		timeline.create();
+		assert.strictEqual(window.document.getElementById("A").hidden, true);
+		assert.deepStrictEqual(warnings, (handled ? [] : ["A starts in 1940, outside the timeline (1950 - 2000)"]));
+	}
+});
+
+test("destroy() puts back HTML entries changed or removed after create()", () => {
+	const window = load(`
+		<div id="A" data-start="1950">A</div>
+		<div id="B" data-start="1955" data-split="A">B <template>Description</template></div>
+		<div id="C" data-start="1960" data-end="1970">C</div>
+	`);
+	const container = window.document.getElementById("diagram");
+	const before = container.innerHTML;
+	const timeline = new window.Timeline("diagram", { yearStart: 1950, yearEnd: 2000, data: [{ id: "D", start: 1980 }] });
+	timeline.create();
+	timeline.updateEntry("C", { name: "Renamed", end: 1975 });
+	timeline.removeEntry("A");
+	timeline.removeEntry("B");
+	timeline.addEntry({ id: "E", start: 1990 });
+
+	timeline.destroy();
+	assert.strictEqual(container.innerHTML, before);
+});
+
+test("methods throw a clear error before create() and after destroy()", () => {
+	const window = load(`<div id="A" data-start="1950">A</div>`);
+	const timeline = new window.Timeline("diagram", { yearStart: 1950, yearEnd: 2000 });
+	const message = /Timeline not created/;
+	assert.throws(() => timeline.addEntry({ id: "B", start: 1960 }), message);
+	timeline.create();
+	timeline.destroy();
+	for (const call of [() => timeline.toSVG(), () => timeline.updateEntry("A", { end: 1960 }), () => timeline.removeEntry("A"), () => timeline.filter(null), () => timeline.trace(null)]) {
+		assert.throws(call, message);
+	}
+});
+
+test("renaming an entry keeps its description", () => {
+	const window = load(`<div id="A" data-start="1950">A <template><p>Rich <em>description</em></p></template></div>`);
+	const timeline = new window.Timeline("diagram", { yearStart: 1950, yearEnd: 2000, popover: true });
+	timeline.create();
+	timeline.updateEntry("A", { name: "Renamed" });
+
+	const entry = window.document.getElementById("A");
+	assert.strictEqual(entry.textContent, "Renamed");
+	assert.strictEqual(entry.querySelector(":scope > template").innerHTML, "<p>Rich <em>description</em></p>");
+});
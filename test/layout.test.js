@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { layout } = require("../dist/timeline-layout.js");
+
+/**
+ * Compare a layout to its snapshot in test/snapshots, or write the snapshot if there isn't one (except in CI), or UPDATE_SNAPSHOTS is set.
+ * @param {string} name
+ * @param {object} result
+ */
+function matchSnapshot(name, result) {
+	const file = path.join(__dirname, "snapshots", `${name}.json`);
+	const json = JSON.stringify(result, null, "\t") + "\n";
+	if (process.env.UPDATE_SNAPSHOTS || (!process.env.CI && !fs.existsSync(file))) {
+		fs.writeFileSync(file, json);
+		return;
+	}
+	assert.deepStrictEqual(JSON.parse(json), JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+//yearEnd defaults to next year, so is set to keep the snapshots the same
+const config = { yearStart: 1950, yearEnd: 2000 };
+
+const fixtures = {
+	forks: [
+		{ id: "A", start: 1952, fork: "B C" },
+		{ id: "B", start: 1960 },
+		{ id: "C", start: 1962, end: 1980 },
+		{ id: "D", start: 1955, fork: "E F G" },
+		{ id: "E", start: 1970 },
+		{ id: "F", start: 1970 },
+		{ id: "G", start: 1971, end: 1990 }
+	],
+	merges: [
+		{ id: "A", start: 1952, end: 1965, merge: "C" },
+		{ id: "B", start: 1955, end: 1965, merge: "C" },
+		{ id: "C", start: 1965 },
+		{ id: "D", start: 1970, end: 1970, merge: "E" },
+		{ id: "E", start: 1960, end: 1985 }
+	],
+	from: [
+		{ id: "A", start: 1950 },
+		{ id: "B", start: 1958, end: 1980 },
+		{ id: "C", start: 1972, from: "A B" },
+		{ id: "D", start: 1975, become: "E", from: "C" },
+		{ id: "E", start: 1985 }
+	],
+	groups: [
+		{ id: "A", start: 1950, group: "left" },
+		{ id: "B", start: 1960, split: "A", group: "left" },
+		{ id: "C", start: 1955, end: 1970, become: "D", group: "right" },
+		{ id: "D", start: 1970, group: "left" },
+		{ id: "E", start: 1965, links: "A" },
+		{ id: "F", start: 1980, row: 2, group: "right" }
+	],
+	vertical: [
+		{ id: "A", start: 1950, end: 1970, become: "B" },
+		{ id: "B", start: 1970 },
+		{ id: "C", start: 1960, split: "A" },
+		{ id: "D", start: 1962, end: 1975, merge: "B", links: "C" }
+	],
+	months: [
+		{ id: "A", start: "1960-03", end: "1960-05" },
+		{ id: "B", start: "1960-08", end: "1960-10" },
+		{ id: "C", start: 1955, end: "1961-06", fork: "D E" },
+		{ id: "D", start: "1961-06" },
+		{ id: "E", start: "1962-01-15", endEstimate: true, end: 1970 }
+	]
+};
+
+const configs = {
+	groups: { groups: { right: { label: "Right", colour: "#c00" }, left: { order: 1 } } },
+	vertical: { orientation: "vertical" }
+};
+
+for (const [name, entries] of Object.entries(fixtures)) {
+	test(`layout of ${name}`, () => {
+		matchSnapshot(name, layout(entries, Object.assign({}, config, configs[name])));
+	});
+}
+
+test("layout ignores relations to missing IDs", (t) => {
+	const warn = t.mock.method(console, "warn", () => {});
+	for (const prop of ["become", "split", "fork", "merge", "from"]) {
+		const result = layout([{ id: "a", start: 1950, [prop]: "zz" }], config);
+		assert.strictEqual(result.boxes[0].end, 2000);
+		assert.deepStrictEqual(result.connectors.map(c => c.type), ["end"]);
+	}
+	assert.strictEqual(warn.mock.callCount(), 5);
+
+	const result = layout([{ id: "a", start: 1950, fork: "b zz" }, { id: "b", start: 1960 }], config);
+	assert.deepStrictEqual(result.connectors.filter(c => c.type === "fork").map(c => c.target), ["b"]);
+});